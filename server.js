@@ -1,7 +1,15 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { createServer } from 'http';
+import { request as httpsRequest } from 'https';
+import { lookup as dnsLookup } from 'dns';
+import { BlockList, isIP } from 'net';
 import { createClient } from '@supabase/supabase-js';
 import { config } from 'dotenv';
+import { appendFile, mkdir, readdir, readFile, rename, stat, unlink, writeFile } from 'fs/promises';
+import { createReadStream, createWriteStream, existsSync } from 'fs';
+import { createInterface } from 'readline';
+import { dirname, join } from 'path';
+import { createHash, createHmac, createPublicKey, randomUUID, timingSafeEqual, verify as verifySignature } from 'crypto';
 
 config();
 
@@ -11,9 +19,170 @@ const SONIOX_API_KEY = process.env.SONIOX_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
 const DEEPL_AUTH_KEY = process.env.DEEPL_AUTH_KEY;
-const SUPABASE_URL = process.env.SUPABASE_URL;
+// Without trailing slashes - the JWT issuer and JWKS URL defaults are built from it
+const SUPABASE_URL = process.env.SUPABASE_URL?.replace(/\/+$/, '');
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 
+// Soniox upstream reconnect - how hard to try before giving up on a live session,
+// and how much recent PCM to keep around for replay into the new upstream session
+const SONIOX_RECONNECT_MAX_ATTEMPTS = parseInt(process.env.SONIOX_RECONNECT_MAX_ATTEMPTS || '5', 10);
+const SONIOX_RECONNECT_BASE_DELAY_MS = parseInt(process.env.SONIOX_RECONNECT_BASE_DELAY_MS || '500', 10);
+const SONIOX_RECONNECT_MAX_DELAY_MS = parseInt(process.env.SONIOX_RECONNECT_MAX_DELAY_MS || '8000', 10);
+const SONIOX_REPLAY_BUFFER_SECONDS = parseFloat(process.env.SONIOX_REPLAY_BUFFER_SECONDS || '10');
+
+// Live translation fan-out - finalized transcript is cut into segments at endpoints, sentence
+// ends or this many characters, and each segment is translated into every target language
+const TRANSLATION_SEGMENT_MAX_CHARS = parseInt(process.env.TRANSLATION_SEGMENT_MAX_CHARS || '300', 10);
+
+// Transcript protocols a client can ask for in its start message (or listener URL)
+const TRANSCRIPT_PROTOCOLS = [1, 2];
+
+// Live TTS - finalized translations spoken back over the WebSocket (opt-in per session or listener)
+const LIVE_TTS_PROVIDER = process.env.LIVE_TTS_PROVIDER || 'openai';
+
+// Unified /api/tts - providers are tried in this order (a request's `provider` goes first) and
+// each gets TTS_FAILOVER_TIMEOUT_MS to start answering. TTS_VOICES replaces the built-in voice catalog.
+const TTS_PROVIDER_ORDER = (process.env.TTS_PROVIDER_ORDER || 'openai,deepgram').split(',').map(name => name.trim()).filter(Boolean);
+const TTS_FAILOVER_TIMEOUT_MS = parseInt(process.env.TTS_FAILOVER_TIMEOUT_MS || '5000', 10);
+const TTS_VOICES = parseJsonEnv('TTS_VOICES', null);
+
+// TTS audio cache for the HTTP TTS routes - an LRU memory tier plus an optional disk tier.
+// TTS_CACHE_MAX_BYTES=0 with no TTS_CACHE_DIR turns caching off.
+const TTS_CACHE_MAX_BYTES = parseInt(process.env.TTS_CACHE_MAX_BYTES || String(64 * 1024 * 1024), 10);
+const TTS_CACHE_MAX_ENTRY_BYTES = parseInt(process.env.TTS_CACHE_MAX_ENTRY_BYTES || String(8 * 1024 * 1024), 10);
+const TTS_CACHE_TTL_SECONDS = parseInt(process.env.TTS_CACHE_TTL_SECONDS || String(7 * 24 * 3600), 10);
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR;
+const TTS_CACHE_DISK_MAX_BYTES = parseInt(process.env.TTS_CACHE_DISK_MAX_BYTES || String(1024 * 1024 * 1024), 10);
+
+// Broadcast rooms - one speaker's Soniox session relayed to many listeners. A room outlives
+// its speaker's connection by ROOM_IDLE_TIMEOUT_MS so a dropped speaker can reconnect.
+const ROOM_MAX_LISTENERS = parseInt(process.env.ROOM_MAX_LISTENERS || '500', 10);
+const ROOM_IDLE_TIMEOUT_MS = parseInt(process.env.ROOM_IDLE_TIMEOUT_MS || '300000', 10);
+// A listener with more than this queued and unsent is too slow to keep up and is disconnected
+const ROOM_LISTENER_MAX_BUFFERED_BYTES = parseInt(process.env.ROOM_LISTENER_MAX_BUFFERED_BYTES || String(4 * 1024 * 1024), 10);
+
+// JWT verification - 'local' checks signatures in-process (HS256 secret and/or the project's JWKS),
+// 'remote' calls supabase.auth.getUser for every token. AUTH_REMOTE_FALLBACK (on unless set to
+// 'false') lets local mode ask Supabase when it has no key to check a token with - e.g. an HS256
+// project without SUPABASE_JWT_SECRET - but never for expired or badly signed tokens.
+const AUTH_VERIFY_MODE = process.env.AUTH_VERIFY_MODE || 'local';
+const AUTH_REMOTE_FALLBACK = process.env.AUTH_REMOTE_FALLBACK !== 'false';
+const AUTH_CACHE_TTL_MS = parseInt(process.env.AUTH_CACHE_TTL_MS || '60000', 10);
+const AUTH_CLOCK_SKEW_SECONDS = parseInt(process.env.AUTH_CLOCK_SKEW_SECONDS || '30', 10);
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_JWKS_URL = process.env.SUPABASE_JWKS_URL || `${SUPABASE_URL}/auth/v1/.well-known/jwks.json`;
+const SUPABASE_JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const SUPABASE_JWT_ISSUER = process.env.SUPABASE_JWT_ISSUER || `${SUPABASE_URL}/auth/v1`;
+const JWKS_CACHE_TTL_MS = parseInt(process.env.JWKS_CACHE_TTL_MS || '600000', 10);
+// WebSocket sessions get auth_expiring this long before the token's exp, then close with 4401 at exp
+const AUTH_EXPIRY_WARNING_SECONDS = parseInt(process.env.AUTH_EXPIRY_WARNING_SECONDS || '60', 10);
+
+// Plans and what each may use. ENTITLEMENTS (JSON) replaces the built-in table below; a plan
+// that omits a key, or lists '*', is unrestricted for it. Patterns may end in '*' (e.g. "aura-*").
+const ENTITLEMENTS = parseJsonEnv('ENTITLEMENTS', null);
+// Users without a plan get this one. 'pro' (unrestricted) keeps existing users working until
+// they have plans in app_metadata - then switch it to 'free'.
+const ENTITLEMENTS_DEFAULT_PLAN = process.env.ENTITLEMENTS_DEFAULT_PLAN || 'pro';
+// Plans allowed to use the /api/admin routes (comma-separated)
+const ADMIN_PLANS = new Set((process.env.ADMIN_PLANS || 'admin').split(',').map(name => name.trim()).filter(Boolean));
+
+// /api/openai/chat policy - which models and request fields get through to OpenAI, and the caps
+// applied to them. CHAT_UNSUPPORTED_FIELDS is 'strip' (drop silently) or 'reject' (400).
+const CHAT_ALLOWED_MODELS = (process.env.CHAT_ALLOWED_MODELS || 'gpt-4o-mini,gpt-4o,gpt-4.1,gpt-4.1-mini,gpt-4.1-nano,gpt-4,gpt-3.5-turbo')
+    .split(',').map(model => model.trim()).filter(Boolean);
+const CHAT_DEFAULT_MODEL = process.env.CHAT_DEFAULT_MODEL || 'gpt-4o-mini';
+const CHAT_MAX_TOKENS = parseInt(process.env.CHAT_MAX_TOKENS || '2048', 10);
+const CHAT_MAX_N = parseInt(process.env.CHAT_MAX_N || '1', 10);
+const CHAT_ALLOWED_FIELDS = new Set((process.env.CHAT_ALLOWED_FIELDS
+    || 'model,messages,max_tokens,max_completion_tokens,temperature,top_p,n,stream,stream_options,stop,presence_penalty,frequency_penalty,response_format,seed')
+    .split(',').map(field => field.trim()).filter(Boolean));
+const CHAT_UNSUPPORTED_FIELDS = process.env.CHAT_UNSUPPORTED_FIELDS || 'strip';
+const CHAT_SYSTEM_PROMPT = process.env.CHAT_SYSTEM_PROMPT;
+
+// Request body limits - JSON routes, the chat proxy (conversation history), posted token arrays and audio uploads
+const MAX_JSON_BODY_BYTES = parseInt(process.env.MAX_JSON_BODY_BYTES || String(64 * 1024), 10);
+const MAX_CHAT_BODY_BYTES = parseInt(process.env.MAX_CHAT_BODY_BYTES || String(1024 * 1024), 10);
+const MAX_EXPORT_BODY_BYTES = parseInt(process.env.MAX_EXPORT_BODY_BYTES || String(8 * 1024 * 1024), 10);
+const MAX_UPLOAD_BODY_BYTES = parseInt(process.env.MAX_UPLOAD_BODY_BYTES || String(25 * 1024 * 1024), 10);
+const BODY_READ_TIMEOUT_MS = parseInt(process.env.BODY_READ_TIMEOUT_MS || '15000', 10);
+const UPLOAD_READ_TIMEOUT_MS = parseInt(process.env.UPLOAD_READ_TIMEOUT_MS || '120000', 10);
+
+// Upstream provider calls - how long each provider gets to start answering (UPSTREAM_TIMEOUTS_MS
+// overrides per provider, e.g. {"deepl":5000}), retries for requests that are safe to repeat, and the
+// circuit breaker: after CIRCUIT_FAILURE_THRESHOLD straight failures a provider is failed fast for CIRCUIT_OPEN_MS
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '30000', 10);
+const UPSTREAM_TIMEOUTS_MS = parseJsonEnv('UPSTREAM_TIMEOUTS_MS', {});
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES || '2', 10);
+const UPSTREAM_RETRY_BASE_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS || '250', 10);
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10);
+const CIRCUIT_OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_MS || '30000', 10);
+
+// Per-user rate limits (token bucket per route) and daily quotas. 0 disables a quota.
+// RATE_LIMIT_ROUTES overrides the bucket for individual routes, e.g. {"openai_chat":{"per_minute":10,"burst":5}}
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const RATE_LIMIT_PER_MINUTE = parseFloat(process.env.RATE_LIMIT_PER_MINUTE || '60');
+const RATE_LIMIT_BURST = parseFloat(process.env.RATE_LIMIT_BURST || '20');
+const RATE_LIMIT_ROUTES = parseJsonEnv('RATE_LIMIT_ROUTES', {});
+const DAILY_QUOTAS = {
+    tts_chars: parseFloat(process.env.QUOTA_TTS_CHARS_PER_DAY || '0'),
+    deepl_chars: parseFloat(process.env.QUOTA_DEEPL_CHARS_PER_DAY || '0'),
+    chat_tokens: parseFloat(process.env.QUOTA_CHAT_TOKENS_PER_DAY || '0'),
+    streaming_minutes: parseFloat(process.env.QUOTA_STREAMING_MINUTES_PER_DAY || '0'),
+    file_minutes: parseFloat(process.env.QUOTA_FILE_MINUTES_PER_DAY || '0'),
+};
+
+// DeepL translation memory (LRU, in memory) and the admin-managed glossary file.
+// DEEPL_CACHE_MAX_ENTRIES=0 turns the cache off.
+const DEEPL_CACHE_MAX_ENTRIES = parseInt(process.env.DEEPL_CACHE_MAX_ENTRIES || '20000', 10);
+const DEEPL_CACHE_TTL_SECONDS = parseInt(process.env.DEEPL_CACHE_TTL_SECONDS || String(7 * 24 * 3600), 10);
+const GLOSSARY_PATH = process.env.GLOSSARY_PATH || './data/glossary.json';
+
+// /api/translate - providers tried in order until one translates a text
+const TRANSLATION_CHAIN = (process.env.TRANSLATION_CHAIN || 'deepl,openai').split(',').map(name => name.trim()).filter(Boolean);
+const TRANSLATION_OPENAI_MODEL = process.env.TRANSLATION_OPENAI_MODEL || 'gpt-4o-mini';
+
+// Usage ledger - where per-request/per-session usage records go: memory, file (JSONL) or supabase
+const USAGE_SINK = process.env.USAGE_SINK || 'memory';
+const USAGE_LOG_PATH = process.env.USAGE_LOG_PATH || './data/usage.jsonl';
+const USAGE_TABLE = process.env.USAGE_TABLE || 'usage_records';
+
+// Session transcripts - finalized original/translated text saved when a session asks for it.
+// 'off' (default), 'memory', 'file' (one JSON file per session in TRANSCRIPT_DIR) or 'supabase'
+const TRANSCRIPT_STORE = process.env.TRANSCRIPT_STORE || 'off';
+const TRANSCRIPT_DIR = process.env.TRANSCRIPT_DIR || './data/transcripts';
+const TRANSCRIPT_TABLE = process.env.TRANSCRIPT_TABLE || 'session_transcripts';
+
+// Async file transcription jobs (Soniox REST API). Uploads are streamed to JOB_UPLOAD_DIR and
+// removed once Soniox has them; jobs and their results are kept for JOB_RETENTION_HOURS.
+const SONIOX_API_URL = process.env.SONIOX_API_URL || 'https://api.soniox.com/v1';
+const SONIOX_ASYNC_MODEL = process.env.SONIOX_ASYNC_MODEL || 'stt-async-preview';
+const JOB_UPLOAD_DIR = process.env.JOB_UPLOAD_DIR || './data/uploads';
+const JOB_MAX_UPLOAD_BYTES = parseInt(process.env.JOB_MAX_UPLOAD_BYTES || String(500 * 1024 * 1024), 10);
+// Uploads still on disk (arriving, waiting for a job or being handed to Soniox): per user, and in total
+const JOB_MAX_UPLOADS_PER_USER = parseInt(process.env.JOB_MAX_UPLOADS_PER_USER || '3', 10);
+const JOB_MAX_UPLOAD_BYTES_PER_USER = parseInt(process.env.JOB_MAX_UPLOAD_BYTES_PER_USER || String(1024 * 1024 * 1024), 10);
+const JOB_UPLOAD_DIR_MAX_BYTES = parseInt(process.env.JOB_UPLOAD_DIR_MAX_BYTES || String(10 * 1024 * 1024 * 1024), 10);
+const JOB_UPLOAD_TIMEOUT_MS = parseInt(process.env.JOB_UPLOAD_TIMEOUT_MS || '1800000', 10);
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+const JOB_RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS || '24');
+// Signs job callbacks (X-Signature) when set
+const JOB_WEBHOOK_SECRET = process.env.JOB_WEBHOOK_SECRET;
+
+// Optional bearer token required to scrape /metrics
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// CORS - browser origins allowed to call the HTTP routes and open WebSockets.
+// Comma-separated; 'https://*.example.com' matches any subdomain, '*' allows every origin.
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim().toLowerCase()).filter(Boolean);
+const CORS_MAX_AGE_SECONDS = parseInt(process.env.CORS_MAX_AGE_SECONDS || '600', 10);
+
+// Readiness probes - results are cached so load balancer polling doesn't hammer providers.
+// Only the critical dependencies decide whether /health/ready returns 503.
+const HEALTH_CACHE_TTL_MS = parseInt(process.env.HEALTH_CACHE_TTL_MS || '30000', 10);
+const HEALTH_PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS || '5000', 10);
+const READINESS_CRITICAL = new Set((process.env.READINESS_CRITICAL || 'supabase,soniox').split(',').map(name => name.trim()).filter(Boolean));
+
 // Validate required environment variables
 if (!SONIOX_API_KEY) {
     console.error('ERROR: SONIOX_API_KEY environment variable is required');
@@ -34,991 +203,5338 @@ if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
     process.exit(1);
 }
 
+if (AUTH_VERIFY_MODE === 'local' && !SUPABASE_JWT_SECRET && !AUTH_REMOTE_FALLBACK) {
+    console.error('WARNING: SUPABASE_JWT_SECRET not configured and AUTH_REMOTE_FALLBACK=false - HS256 tokens will be rejected');
+}
+
 // Initialize Supabase client for JWT verification
 const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
-// Create HTTP server
-const server = createServer(async (req, res) => {
-    // CORS headers for all requests
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
-    }
-    
-    // Health check endpoint
-    if (req.url === '/health' || req.url === '/') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ 
-            status: 'healthy', 
-            service: 'soniox-proxy',
-            timestamp: new Date().toISOString()
-        }));
-        return;
-    }
-    
-    // Legacy /openai/token endpoint removed - raw API key exposure eliminated
-    if (req.url === '/openai/token' && req.method === 'POST') {
-        res.writeHead(410, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'This endpoint has been removed. Use /api/openai/tts for TTS or /api/openai/chat for chat.' }));
-        return;
-    }
-    
-    // OpenAI Ephemeral Token endpoint - returns short-lived Realtime session token
-    if (req.url === '/api/openai/ephemeral-token' && req.method === 'POST') {
-        try {
-            // Get authorization header
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
-            
-            const token = authHeader.substring(7);
-            
-            // Verify JWT with Supabase
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                console.log('OpenAI ephemeral token: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
-            
-            // Parse request body for voice/model preferences
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            await new Promise(resolve => req.on('end', resolve));
-            
-            let params = {};
-            try { params = JSON.parse(body || '{}'); } catch (e) {}
-            
-            const requestedVoice = params.voice || 'nova';
-            const model = params.model || 'gpt-4o-realtime-preview-2024-12-17';
-            
-            // The Realtime Sessions API supports a different voice set than /v1/audio/speech.
-            // Map standard TTS voices to their Realtime equivalents so both clients work.
-            const REALTIME_VOICE_MAP = {
-                'nova': 'coral',
-                'shimmer': 'shimmer',
-                'alloy': 'alloy',
-                'echo': 'echo',
-                'fable': 'sage',
-                'onyx': 'ash',
-            };
-            const VALID_REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse', 'marin', 'cedar'];
-            const voice = VALID_REALTIME_VOICES.includes(requestedVoice) 
-                ? requestedVoice 
-                : (REALTIME_VOICE_MAP[requestedVoice] || 'coral');
-            
-            console.log(`OpenAI ephemeral token request for user: ${user.id}, voice: ${requestedVoice} -> ${voice}`);
-            
-            // Request ephemeral key from OpenAI Realtime API
-            const openaiResponse = await fetch('https://api.openai.com/v1/realtime/sessions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: model,
-                    voice: voice,
-                    modalities: ['text', 'audio'],
-                }),
-            });
-            
-            if (!openaiResponse.ok) {
-                const errorData = await openaiResponse.json().catch(() => ({}));
-                console.error('OpenAI ephemeral key error:', openaiResponse.status, errorData);
-                
-                res.writeHead(openaiResponse.status >= 400 && openaiResponse.status < 600 ? openaiResponse.status : 500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Failed to create OpenAI session' }));
-                return;
-            }
-            
-            const sessionData = await openaiResponse.json();
-            console.log(`OpenAI ephemeral token issued for user: ${user.id}`);
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                ephemeralKey: sessionData.client_secret?.value || sessionData.api_key,
-                model: model,
-                voice: voice,
-                expiresAt: sessionData.client_secret?.expires_at,
-            }));
-            return;
-        } catch (err) {
-            console.error('OpenAI ephemeral token error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
-            return;
-        }
-    }
-    
-    // Soniox token endpoint for web clients (returns proxy URL, not API key)
-    if (req.url === '/api/soniox/token' && req.method === 'POST') {
-        try {
-            // Get authorization header
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
-            
-            const token = authHeader.substring(7);
-            
-            // Verify JWT with Supabase
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                console.log('Soniox token: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
-            
-            console.log(`Soniox proxy access granted for user: ${user.id}`);
-            
-            // Return the proxy WebSocket URL (client connects to proxy, not directly to Soniox)
-            // This way the API key NEVER leaves the server
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ 
-                useProxy: true,
-                proxyUrl: 'wss://selah-proxy-ffrw7.ondigitalocean.app',
-                // Client should append ?token=THEIR_JWT to the URL
-                message: 'Connect to proxyUrl with your JWT token as query param'
-            }));
-            return;
-        } catch (err) {
-            console.error('Soniox token error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
-            return;
-        }
+// ============================================================================
+// Authentication
+// ============================================================================
+
+// Thrown by local verification. `unverifiable` means we had no key to check the token with
+// (as opposed to a token that is definitely bad) - only those may fall back to Supabase.
+function authError(message, unverifiable = false) {
+    const err = new Error(message);
+    err.unverifiable = unverifiable;
+    return err;
+}
+
+function decodeJwt(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw authError('Malformed token');
+    try {
+        return {
+            header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+            payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString()),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url'),
+        };
+    } catch (err) {
+        throw authError('Malformed token');
     }
-    
-    // OpenAI TTS endpoint - converts text to speech using OpenAI's audio/speech API
-    // Supports streaming for low-latency playback (PCM) and buffered for web (mp3/opus)
-    if (req.url === '/api/openai/tts' && req.method === 'POST') {
-        try {
-            // Get authorization header
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
-            
-            const token = authHeader.substring(7);
-            
-            // Verify JWT with Supabase
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                console.log('OpenAI TTS: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
-            
-            // Parse request body
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            await new Promise(resolve => req.on('end', resolve));
-            
-            let params = {};
-            try { params = JSON.parse(body || '{}'); } catch (e) {}
-            
-            const text = params.text || params.input;
-            const voice = params.voice || 'nova';
-            const model = params.model || 'tts-1';
-            const speed = params.speed || 1.0;
-            const responseFormat = params.response_format || 'mp3';
-            
-            if (!text) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Missing required field: text' }));
-                return;
-            }
-            
-            console.log(`OpenAI TTS request for user: ${user.id}, voice: ${voice}, format: ${responseFormat}, text length: ${text.length}`);
-            
-            // Call OpenAI's TTS API
-            const openaiResponse = await fetch('https://api.openai.com/v1/audio/speech', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: model,
-                    input: text,
-                    voice: voice,
-                    speed: speed,
-                    response_format: responseFormat,
-                }),
-            });
-            
-            if (!openaiResponse.ok) {
-                const errorText = await openaiResponse.text();
-                console.error('OpenAI TTS error:', openaiResponse.status, errorText);
-                res.writeHead(openaiResponse.status, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'OpenAI TTS failed: ' + errorText }));
-                return;
-            }
-            
-            const FORMAT_CONTENT_TYPES = {
-                'mp3': 'audio/mpeg',
-                'opus': 'audio/ogg',
-                'aac': 'audio/aac',
-                'flac': 'audio/flac',
-                'wav': 'audio/wav',
-                'pcm': 'audio/pcm',
-            };
-            const contentType = FORMAT_CONTENT_TYPES[responseFormat] || 'audio/mpeg';
-            
-            // For PCM/streaming formats, pipe directly for lowest latency
-            if (responseFormat === 'pcm' && openaiResponse.body) {
-                res.writeHead(200, { 
-                    'Content-Type': contentType,
-                    'Transfer-Encoding': 'chunked',
-                });
-                const reader = openaiResponse.body.getReader();
+}
+
+// JWKS cache - refreshed every JWKS_CACHE_TTL_MS, or early (at most every 30s) when a token
+// names a key id we haven't seen, which is what happens right after a key rotation
+let jwksCache = { keys: new Map(), fetchedAt: 0, pending: null };
+
+async function refreshJwks() {
+    if (!jwksCache.pending) {
+        jwksCache.pending = (async () => {
+            const response = await fetch(SUPABASE_JWKS_URL, { signal: AbortSignal.timeout(5000) });
+            if (!response.ok) throw new Error(`JWKS fetch failed: HTTP ${response.status}`);
+            const { keys = [] } = await response.json();
+            const parsed = new Map();
+            for (const jwk of keys) {
                 try {
-                    while (true) {
-                        const { done, value } = await reader.read();
-                        if (done) break;
-                        res.write(Buffer.from(value));
-                    }
-                } catch (streamErr) {
-                    console.error('OpenAI TTS stream error:', streamErr.message);
-                } finally {
-                    res.end();
+                    parsed.set(jwk.kid, { alg: jwk.alg, key: createPublicKey({ key: jwk, format: 'jwk' }) });
+                } catch (err) {
+                    console.error(`JWKS: skipping key ${jwk.kid}:`, err.message);
                 }
-                console.log(`OpenAI TTS streamed for user: ${user.id}`);
-                return;
             }
-            
-            // For compressed formats, buffer then send (content-length needed for web playback)
-            const audioData = await openaiResponse.arrayBuffer();
-            console.log(`OpenAI TTS success for user: ${user.id}, audio size: ${audioData.byteLength} bytes`);
-            
-            res.writeHead(200, { 
-                'Content-Type': contentType,
-                'Content-Length': audioData.byteLength,
-            });
-            res.end(Buffer.from(audioData));
-            return;
-        } catch (err) {
-            console.error('OpenAI TTS error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
-            return;
-        }
+            jwksCache = { keys: parsed, fetchedAt: Date.now(), pending: null };
+        })().finally(() => { jwksCache.pending = null; });
     }
-    
-    // Deepgram TTS endpoint - converts text to speech using Deepgram's Aura voices
-    // More cost-effective and faster than OpenAI for real-time streaming
-    if (req.url === '/api/deepgram/tts' && req.method === 'POST') {
+    return jwksCache.pending;
+}
+
+async function getJwk(kid) {
+    const age = Date.now() - jwksCache.fetchedAt;
+    if (age > JWKS_CACHE_TTL_MS || (!jwksCache.keys.has(kid) && age > 30000)) {
         try {
-            if (!DEEPGRAM_API_KEY) {
-                res.writeHead(503, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Deepgram TTS not configured' }));
-                return;
-            }
-            
-            // Get authorization header
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
-            
-            const token = authHeader.substring(7);
-            
-            // Verify JWT with Supabase
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                console.log('Deepgram TTS: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
-            
-            // Parse request body
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            await new Promise(resolve => req.on('end', resolve));
-            
-            let params = {};
-            try { params = JSON.parse(body || '{}'); } catch (e) {}
-            
-            const text = params.text || params.input;
-            // Deepgram Aura voices: aura-asteria-en, aura-luna-en, aura-stella-en, aura-athena-en, aura-hera-en, aura-orion-en, aura-arcas-en, aura-perseus-en, aura-angus-en, aura-orpheus-en, aura-helios-en, aura-zeus-en
-            const model = params.model || 'aura-asteria-en';
-            const encoding = params.encoding || 'mp3';
-            
-            if (!text) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Missing required field: text' }));
-                return;
-            }
-            
-            console.log(`Deepgram TTS request for user: ${user.id}, model: ${model}, text length: ${text.length}`);
-            
-            // Call Deepgram's TTS API
-            // API: https://api.deepgram.com/v1/speak?model={model}&encoding={encoding}
-            const deepgramUrl = `https://api.deepgram.com/v1/speak?model=${encodeURIComponent(model)}&encoding=${encoding}`;
-            
-            const deepgramResponse = await fetch(deepgramUrl, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Token ${DEEPGRAM_API_KEY}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ text }),
-            });
-            
-            if (!deepgramResponse.ok) {
-                const errorText = await deepgramResponse.text();
-                console.error('Deepgram TTS error:', deepgramResponse.status, errorText);
-                res.writeHead(deepgramResponse.status, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Deepgram TTS failed: ' + errorText }));
-                return;
-            }
-            
-            // Stream the audio response back to client
-            const audioData = await deepgramResponse.arrayBuffer();
-            console.log(`Deepgram TTS success for user: ${user.id}, audio size: ${audioData.byteLength} bytes`);
-            
-            // Content type based on encoding
-            const contentType = encoding === 'mp3' ? 'audio/mpeg' : 
-                               encoding === 'wav' ? 'audio/wav' :
-                               encoding === 'opus' ? 'audio/opus' :
-                               encoding === 'flac' ? 'audio/flac' : 'audio/mpeg';
-            
-            res.writeHead(200, { 
-                'Content-Type': contentType,
-                'Content-Length': audioData.byteLength,
-            });
-            res.end(Buffer.from(audioData));
-            return;
+            await refreshJwks();
         } catch (err) {
-            console.error('Deepgram TTS error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
-            return;
+            console.error('JWKS refresh error:', err.message);
         }
     }
-    
-    // OpenAI Chat Completions proxy - proxies requests to OpenAI so API key stays on server
-    if (req.url === '/api/openai/chat' && req.method === 'POST') {
-        try {
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
-            
-            const token = authHeader.substring(7);
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                console.log('OpenAI Chat: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
-            
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            await new Promise(resolve => req.on('end', resolve));
-            
-            let params = {};
-            try { params = JSON.parse(body || '{}'); } catch (e) {}
-            
-            console.log(`OpenAI Chat request for user: ${user.id}, model: ${params.model || 'gpt-4'}`);
-            
-            const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(params),
-            });
-            
-            if (!openaiResponse.ok) {
-                const errorText = await openaiResponse.text();
-                console.error('OpenAI Chat error:', openaiResponse.status, errorText.substring(0, 200));
-                res.writeHead(openaiResponse.status, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'OpenAI Chat failed' }));
-                return;
-            }
-            
-            // Stream SSE responses for streaming chat, buffer for non-streaming
-            if (params.stream && openaiResponse.body) {
-                res.writeHead(200, { 
-                    'Content-Type': 'text/event-stream',
-                    'Cache-Control': 'no-cache',
-                    'Transfer-Encoding': 'chunked',
-                });
-                const reader = openaiResponse.body.getReader();
-                try {
-                    while (true) {
-                        const { done, value } = await reader.read();
-                        if (done) break;
-                        res.write(Buffer.from(value));
-                    }
-                } catch (streamErr) {
-                    console.error('OpenAI Chat stream error:', streamErr.message);
-                } finally {
-                    res.end();
-                }
-                return;
-            }
-            
-            const data = await openaiResponse.arrayBuffer();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(Buffer.from(data));
-            return;
-        } catch (err) {
-            console.error('OpenAI Chat error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
-            return;
+    return jwksCache.keys.get(kid);
+}
+
+async function verifyJwtSignature({ header, signingInput, signature }) {
+    if (header.alg === 'HS256') {
+        if (!SUPABASE_JWT_SECRET) throw authError('HS256 token but SUPABASE_JWT_SECRET is not configured', true);
+        const expected = createHmac('sha256', SUPABASE_JWT_SECRET).update(signingInput).digest();
+        if (expected.length !== signature.length || !timingSafeEqual(expected, signature)) {
+            throw authError('Invalid signature');
         }
+        return;
     }
-    
-    // OpenAI Transcription proxy - proxies Whisper STT requests so API key stays on server
-    if (req.url === '/api/openai/transcriptions' && req.method === 'POST') {
-        try {
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
-            
-            const token = authHeader.substring(7);
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                console.log('OpenAI Transcription: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
-            
-            // Forward the raw multipart body to OpenAI (preserve content-type with boundary)
-            const chunks = [];
-            req.on('data', chunk => chunks.push(chunk));
-            await new Promise(resolve => req.on('end', resolve));
-            const bodyBuffer = Buffer.concat(chunks);
-            
-            console.log(`OpenAI Transcription request for user: ${user.id}, body size: ${bodyBuffer.length}`);
-            
-            const openaiResponse = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': req.headers['content-type'],
-                },
-                body: bodyBuffer,
-            });
-            
-            if (!openaiResponse.ok) {
-                const errorText = await openaiResponse.text();
-                console.error('OpenAI Transcription error:', openaiResponse.status, errorText.substring(0, 200));
-                res.writeHead(openaiResponse.status, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'OpenAI Transcription failed' }));
-                return;
-            }
-            
-            const data = await openaiResponse.arrayBuffer();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(Buffer.from(data));
-            return;
-        } catch (err) {
-            console.error('OpenAI Transcription error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
-            return;
-        }
+    if (header.alg !== 'RS256' && header.alg !== 'ES256') {
+        throw authError(`Unsupported algorithm: ${header.alg}`);
     }
-    
-    // DeepL Text Translation endpoint - translates text into one or more target languages
-    if (req.url === '/api/deepl/translate' && req.method === 'POST') {
-        try {
-            if (!DEEPL_AUTH_KEY) {
-                res.writeHead(503, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'DeepL translation not configured' }));
-                return;
-            }
+    const jwk = await getJwk(header.kid);
+    if (!jwk) throw authError(`No signing key for kid ${header.kid}`, true);
+    if (jwk.alg && jwk.alg !== header.alg) throw authError('Algorithm does not match signing key');
+    const key = header.alg === 'ES256' ? { key: jwk.key, dsaEncoding: 'ieee-p1363' } : jwk.key;
+    if (!verifySignature('sha256', Buffer.from(signingInput), key, signature)) {
+        throw authError('Invalid signature');
+    }
+}
 
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: No token provided' }));
-                return;
-            }
+function checkJwtClaims(payload) {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + AUTH_CLOCK_SKEW_SECONDS < now) throw authError('Token expired');
+    if (typeof payload.nbf === 'number' && payload.nbf - AUTH_CLOCK_SKEW_SECONDS > now) throw authError('Token not yet valid');
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (SUPABASE_JWT_AUDIENCE && !audiences.includes(SUPABASE_JWT_AUDIENCE)) throw authError('Invalid audience');
+    if (SUPABASE_JWT_ISSUER && payload.iss !== SUPABASE_JWT_ISSUER) throw authError('Invalid issuer');
+    if (!payload.sub) throw authError('Token has no subject');
+}
 
-            const token = authHeader.substring(7);
-            const { data: { user }, error } = await supabase.auth.getUser(token);
+// Shape a verified token's claims like the user object supabase.auth.getUser returns
+function userFromClaims(payload) {
+    return {
+        id: payload.sub,
+        email: payload.email,
+        phone: payload.phone,
+        role: payload.role,
+        aud: payload.aud,
+        app_metadata: payload.app_metadata || {},
+        user_metadata: payload.user_metadata || {},
+    };
+}
 
-            if (error || !user) {
-                console.log('DeepL Translate: Auth failed:', error?.message || 'Invalid token');
-                res.writeHead(401, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Unauthorized: Invalid token' }));
-                return;
-            }
+// Positive cache only - a rejected token is checked again next time
+const authCache = new Map();
+const AUTH_CACHE_MAX_ENTRIES = 10000;
 
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            await new Promise(resolve => req.on('end', resolve));
+function authCacheKey(token) {
+    return createHash('sha256').update(token).digest('base64url');
+}
 
-            let params = {};
-            try { params = JSON.parse(body || '{}'); } catch (e) {}
+function cacheVerifiedUser(key, result) {
+    const expiresAt = Math.min(Date.now() + AUTH_CACHE_TTL_MS, (result.claims.exp || 0) * 1000);
+    if (expiresAt <= Date.now()) return;
+    if (authCache.size >= AUTH_CACHE_MAX_ENTRIES) {
+        authCache.delete(authCache.keys().next().value);
+    }
+    authCache.set(key, { ...result, expiresAt });
+}
 
-            const text = params.text;
-            const targetLanguages = params.target_languages; // array of lang codes
-            const sourceLanguage = params.source_language; // optional
+async function verifyRemotely(token) {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) throw authError(error?.message || 'Invalid token');
+    // Supabase vouched for the token, so its (unverified) claims are trustworthy enough for exp/metadata
+    let claims = {};
+    try { claims = decodeJwt(token).payload; } catch (e) {}
+    return { user: data.user, claims };
+}
 
-            if (!text || !targetLanguages || !Array.isArray(targetLanguages) || targetLanguages.length === 0) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Missing required fields: text (string), target_languages (array)' }));
-                return;
-            }
+async function verifyLocally(token) {
+    const decoded = decodeJwt(token);
+    await verifyJwtSignature(decoded);
+    checkJwtClaims(decoded.payload);
+    return { user: userFromClaims(decoded.payload), claims: decoded.payload };
+}
 
-            if (targetLanguages.length > 4) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Maximum 4 target languages per request' }));
-                return;
+// Verify a Supabase access token. Resolves to { user, claims } or { user: null, error } -
+// like supabase.auth.getUser, it only rejects on unexpected failures. `remote` asks Supabase
+// whatever AUTH_VERIFY_MODE says, for checks that must see bans and sign-outs.
+async function verifyToken(token, { remote = false } = {}) {
+    const key = authCacheKey(token);
+    const cached = authCache.get(key);
+    if (!remote && cached && cached.expiresAt > Date.now()) {
+        return { user: cached.user, claims: cached.claims, error: null };
+    }
+    authCache.delete(key);
+    
+    try {
+        let result;
+        if (remote || AUTH_VERIFY_MODE === 'remote') {
+            result = await verifyRemotely(token);
+        } else {
+            try {
+                result = await verifyLocally(token);
+            } catch (err) {
+                if (!(err.unverifiable && AUTH_REMOTE_FALLBACK)) throw err;
+                console.log(`Auth: ${err.message} - falling back to Supabase`);
+                result = await verifyRemotely(token);
             }
+        }
+        cacheVerifiedUser(key, result);
+        return { ...result, error: null };
+    } catch (err) {
+        if (err.unverifiable === undefined) throw err;
+        return { user: null, claims: null, error: err };
+    }
+}
 
-            console.log(`DeepL Translate for user: ${user.id}, targets: [${targetLanguages.join(',')}], text length: ${text.length}`);
-
-            // DeepL language code mapping — DeepL requires specific codes
-            const DEEPL_LANG_MAP = {
-                'en': 'EN-US', 'pt': 'PT-BR', 'zh': 'ZH-HANS',
-                'no': 'NB', // Norwegian Bokmål
-            };
-            // Languages DeepL Free doesn't support — skip silently
-            const DEEPL_UNSUPPORTED = new Set(['hi', 'ar', 'th', 'vi', 'he', 'ms', 'tl', 'sw', 'ht']);
-
-            const results = {};
-            const promises = targetLanguages.map(async (targetLang) => {
-                if (DEEPL_UNSUPPORTED.has(targetLang)) {
-                    results[targetLang] = { error: 'Language not supported by DeepL' };
-                    return;
-                }
-                try {
-                    const deeplTarget = DEEPL_LANG_MAP[targetLang] || targetLang.toUpperCase();
-
-                    const deeplResponse = await fetch('https://api-free.deepl.com/v2/translate', {
-                        method: 'POST',
-                        headers: {
-                            'Authorization': `DeepL-Auth-Key ${DEEPL_AUTH_KEY}`,
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify({
-                            text: [text],
-                            target_lang: deeplTarget,
-                            ...(sourceLanguage ? { source_lang: (DEEPL_LANG_MAP[sourceLanguage] || sourceLanguage.toUpperCase()).split('-')[0] } : {}),
-                        }),
-                    });
-
-                    if (!deeplResponse.ok) {
-                        const errorText = await deeplResponse.text();
-                        console.error(`DeepL error for ${targetLang}:`, deeplResponse.status, errorText);
-                        results[targetLang] = { error: `DeepL error: ${deeplResponse.status}` };
-                        return;
-                    }
-
-                    const data = await deeplResponse.json();
-                    results[targetLang] = {
-                        text: data.translations?.[0]?.text || '',
-                        detected_source: data.translations?.[0]?.detected_source_language?.toLowerCase(),
-                    };
-                } catch (langErr) {
-                    console.error(`DeepL error for ${targetLang}:`, langErr.message);
-                    results[targetLang] = { error: langErr.message };
-                }
-            });
+// ============================================================================
+// Request bodies
+// ============================================================================
 
-            await Promise.all(promises);
+// Thrown from route handlers and middleware; the router answers with `status` and a JSON
+// { error, ...details } body. Anything thrown without a status becomes a 500.
+function httpError(status, message, { headers = {}, details = {} } = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.headers = headers;
+    err.details = details;
+    return err;
+}
 
-            console.log(`DeepL Translate complete for user: ${user.id}, translated ${Object.keys(results).length} languages`);
+// Body read failures. The rest of an oversized or stalled upload is not worth
+// reading, so the connection is closed once the response is out.
+function bodyError(status, message) {
+    return httpError(status, message, { headers: { 'Connection': 'close' } });
+}
 
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ translations: results }));
+// Read a request body into a Buffer, refusing anything over `limit` bytes, with a media type
+// outside `contentTypes` (a missing Content-Type is accepted unless `requireContentType`),
+// or that takes longer than `timeoutMs` to arrive.
+function readBody(req, { limit, contentTypes = null, requireContentType = true, timeoutMs = BODY_READ_TIMEOUT_MS }) {
+    return new Promise((resolve, reject) => {
+        const mediaType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentTypes && (mediaType ? !contentTypes.includes(mediaType) : requireContentType)) {
+            reject(bodyError(415, `Unsupported Content-Type: expected ${contentTypes.join(' or ')}`));
             return;
-        } catch (err) {
-            console.error('DeepL Translate error:', err.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Internal server error' }));
+        }
+        const declaredLength = parseInt(req.headers['content-length'] || '0', 10);
+        if (declaredLength > limit) {
+            reject(bodyError(413, `Request body too large (max ${limit} bytes)`));
             return;
         }
-    }
+        
+        const chunks = [];
+        let size = 0;
+        let settled = false;
+        
+        const finish = (err, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            req.off('data', onData);
+            req.off('end', onEnd);
+            req.off('error', onError);
+            req.off('aborted', onAborted);
+            if (err) reject(err);
+            else resolve(value);
+        };
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                finish(bodyError(413, `Request body too large (max ${limit} bytes)`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        const onEnd = () => finish(null, Buffer.concat(chunks, size));
+        const onError = (err) => finish(bodyError(400, `Error reading request body: ${err.message}`));
+        const onAborted = () => finish(bodyError(400, 'Request aborted'));
+        const timer = setTimeout(() => finish(bodyError(408, 'Timed out reading request body')), timeoutMs);
+        
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+        req.on('aborted', onAborted);
+    });
+}
 
-    res.writeHead(404);
-    res.end('Not Found');
-});
+// Stream a request body to `path` instead of memory - same limits as readBody. Resolves with the
+// byte count; the partial file is removed when the upload fails.
+function saveBodyToFile(req, path, { limit, timeoutMs }) {
+    const declaredLength = parseInt(req.headers['content-length'] || '0', 10);
+    if (declaredLength > limit) {
+        return Promise.reject(bodyError(413, `Request body too large (max ${limit} bytes)`));
+    }
+    
+    return new Promise((resolve, reject) => {
+        const file = createWriteStream(path);
+        let size = 0;
+        let settled = false;
+        
+        const finish = (err) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            req.off('data', onData);
+            req.off('error', onError);
+            req.off('aborted', onAborted);
+            if (!err) {
+                resolve(size);
+                return;
+            }
+            req.unpipe(file);
+            file.destroy();
+            unlink(path).catch(() => {});
+            reject(err);
+        };
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > limit) finish(bodyError(413, `Request body too large (max ${limit} bytes)`));
+        };
+        const onError = (err) => finish(bodyError(400, `Error reading request body: ${err.message}`));
+        const onAborted = () => finish(bodyError(400, 'Request aborted'));
+        const timer = setTimeout(() => finish(bodyError(408, 'Timed out reading request body')), timeoutMs);
+        
+        req.on('data', onData);
+        req.on('error', onError);
+        req.on('aborted', onAborted);
+        file.on('finish', () => finish(null));
+        file.on('error', (err) => finish(httpError(500, `Could not store upload: ${err.message}`)));
+        req.pipe(file);
+    });
+}
+
+// Read and parse a JSON body. An empty body is {}; anything that isn't a JSON object is a 400.
+// text/plain is accepted because browser fetch() labels a string body that way by default.
+async function readJsonBody(req, { limit = MAX_JSON_BODY_BYTES, timeoutMs } = {}) {
+    const buffer = await readBody(req, { limit, timeoutMs, contentTypes: ['application/json', 'text/plain'], requireContentType: false });
+    if (buffer.length === 0) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(buffer.toString('utf8'));
+    } catch (err) {
+        throw httpError(400, 'Invalid JSON body');
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw httpError(400, 'JSON body must be an object');
+    }
+    return parsed;
+}
+
+// ============================================================================
+// Entitlements
+// ============================================================================
+
+const DEFAULT_ENTITLEMENTS = {
+    free: {
+        routes: ['*'],
+        soniox_models: ['*'],
+        translation_targets: ['*'],
+        tts_models: ['tts-1', 'aura-*'],
+        tts_voices: ['*'],
+        chat_models: ['gpt-4o-mini', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-3.5-turbo'],
+        realtime_models: ['gpt-4o-mini-realtime-*', 'gpt-4o-realtime-preview-2024-12-17'],
+    },
+    pro: {},
+    admin: {},
+};
+
+const PLAN_ENTITLEMENTS = ENTITLEMENTS || DEFAULT_ENTITLEMENTS;
+
+// Human-readable names for 403 messages
+const ENTITLEMENT_LABELS = {
+    routes: 'endpoint',
+    soniox_models: 'Soniox model',
+    translation_targets: 'translation language',
+    tts_models: 'TTS model',
+    tts_voices: 'TTS voice',
+    chat_models: 'chat model',
+    realtime_models: 'realtime model',
+};
+
+// The plan comes from app_metadata (or custom claims added by an auth hook), never from
+// user_metadata - users can edit their own user_metadata.
+function resolvePlan(user, claims) {
+    const appMetadata = { ...(user?.app_metadata || {}), ...(claims?.app_metadata || {}) };
+    const candidates = [appMetadata.plan, appMetadata.role, claims?.plan, claims?.user_role];
+    const name = candidates.find(candidate => typeof candidate === 'string' && PLAN_ENTITLEMENTS[candidate])
+        || ENTITLEMENTS_DEFAULT_PLAN;
+    return { name, rules: PLAN_ENTITLEMENTS[name] || {} };
+}
+
+function matchesEntitlement(patterns, value) {
+    return patterns.some(pattern => pattern === '*'
+        || pattern === value
+        || (pattern.endsWith('*') && value.startsWith(pattern.slice(0, -1))));
+}
+
+// Check [kind, value] pairs against the plan. Returns null when all are allowed,
+// otherwise { reason, message } for the first violation.
+function checkEntitlements(plan, checks) {
+    for (const [kind, value] of checks) {
+        const patterns = plan.rules[kind];
+        if (!patterns || value === undefined || value === null) continue;
+        if (!matchesEntitlement(patterns, String(value))) {
+            return {
+                reason: kind,
+                message: `Forbidden: the ${plan.name} plan does not include ${ENTITLEMENT_LABELS[kind] || kind} '${value}'`,
+            };
+        }
+    }
+    return null;
+}
+
+// Throw a 403 naming the plan and the rule that was violated
+function assertEntitled(plan, checks) {
+    const denied = checkEntitlements(plan, checks);
+    if (denied) {
+        throw httpError(403, denied.message, { details: { plan: plan.name, reason: denied.reason } });
+    }
+}
+
+// ============================================================================
+// Chat completion policy
+// ============================================================================
+
+const CHAT_MESSAGE_ROLES = new Set(['system', 'developer', 'user', 'assistant']);
+
+// Turn a client's chat body into the request we are willing to send with our key.
+// Returns { params, stripped } or { error } (a 400 message).
+function applyChatPolicy(clientParams) {
+    const fields = Object.keys(clientParams);
+    const unsupported = fields.filter(field => !CHAT_ALLOWED_FIELDS.has(field));
+    if (unsupported.length > 0 && CHAT_UNSUPPORTED_FIELDS === 'reject') {
+        return { error: `Unsupported field(s): ${unsupported.join(', ')}` };
+    }
+    
+    const params = {};
+    for (const field of fields) {
+        if (CHAT_ALLOWED_FIELDS.has(field)) params[field] = clientParams[field];
+    }
+    
+    params.model = params.model || CHAT_DEFAULT_MODEL;
+    if (typeof params.model !== 'string' || !matchesEntitlement(CHAT_ALLOWED_MODELS, params.model)) {
+        return { error: `Model not allowed: ${params.model}` };
+    }
+    
+    if (!Array.isArray(params.messages) || params.messages.length === 0) {
+        return { error: 'Missing required field: messages (array)' };
+    }
+    const badMessage = params.messages.find(message => !message || !CHAT_MESSAGE_ROLES.has(message.role));
+    if (badMessage) {
+        return { error: `Unsupported message role: ${badMessage?.role}` };
+    }
+    
+    // Cap output length - clamp whichever limit the client used into 1..CHAT_MAX_TOKENS, or impose ours
+    if (params.max_completion_tokens !== undefined) {
+        params.max_completion_tokens = Math.max(1, Math.floor(Math.min(Number(params.max_completion_tokens) || CHAT_MAX_TOKENS, CHAT_MAX_TOKENS)));
+        delete params.max_tokens;
+    } else {
+        params.max_tokens = Math.max(1, Math.floor(Math.min(Number(params.max_tokens) || CHAT_MAX_TOKENS, CHAT_MAX_TOKENS)));
+    }
+    if (params.n !== undefined) {
+        params.n = Math.max(1, Math.floor(Math.min(Number(params.n) || 1, CHAT_MAX_N)));
+    }
+    
+    if (CHAT_SYSTEM_PROMPT) {
+        params.messages = [{ role: 'system', content: CHAT_SYSTEM_PROMPT }, ...params.messages];
+    }
+    
+    return { params, stripped: unsupported };
+}
+
+// ============================================================================
+// Rate limiting and quotas
+// ============================================================================
+
+// In-process store - fine for a single instance. Buckets and counters are lost on restart.
+function createMemoryRateLimitStore() {
+    const buckets = new Map();
+    const counters = new Map();
+    
+    // Drop idle buckets and expired counters so the maps don't grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (now - bucket.updatedAt > 60 * 60 * 1000) buckets.delete(key);
+        }
+        for (const [key, counter] of counters) {
+            if (now > counter.expiresAt) counters.delete(key);
+        }
+    }, 5 * 60 * 1000).unref();
+    
+    function getCounter(key, ttlSeconds) {
+        const now = Date.now();
+        let counter = counters.get(key);
+        if (!counter || now > counter.expiresAt) {
+            counter = { used: 0, expiresAt: now + ttlSeconds * 1000 };
+            counters.set(key, counter);
+        }
+        return counter;
+    }
+    
+    return {
+        name: 'memory',
+        async takeToken(key, capacity, refillPerSecond, cost = 1) {
+            const now = Date.now();
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+            bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+            bucket.updatedAt = now;
+            buckets.set(key, bucket);
+            if (bucket.tokens >= cost) {
+                bucket.tokens -= cost;
+                return { allowed: true, retryAfterMs: 0 };
+            }
+            return { allowed: false, retryAfterMs: Math.ceil(((cost - bucket.tokens) / refillPerSecond) * 1000) };
+        },
+        async consumeQuota(key, amount, limit, ttlSeconds) {
+            const counter = getCounter(key, ttlSeconds);
+            if (limit && (counter.used >= limit || counter.used + amount > limit)) {
+                return { allowed: false, used: counter.used };
+            }
+            counter.used += amount;
+            return { allowed: true, used: counter.used };
+        },
+        async addUsage(key, amount, ttlSeconds) {
+            const counter = getCounter(key, ttlSeconds);
+            counter.used += amount;
+            return counter.used;
+        },
+    };
+}
+
+// Shared store backed by two Postgres functions (see DEPLOYMENT_GUIDE.md) so several
+// instances enforce the same limits. Needs the service role key - the anon key must not
+// be able to touch other users' counters.
+function createSupabaseRateLimitStore(client) {
+    return {
+        name: 'supabase',
+        async takeToken(key, capacity, refillPerSecond, cost = 1) {
+            const { data, error } = await client.rpc('proxy_take_token', {
+                p_key: key, p_capacity: capacity, p_refill_per_second: refillPerSecond, p_cost: cost,
+            });
+            if (error) throw new Error(error.message);
+            const row = Array.isArray(data) ? data[0] : data;
+            return { allowed: !!row?.allowed, retryAfterMs: row?.retry_after_ms || 0 };
+        },
+        async consumeQuota(key, amount, limit, ttlSeconds) {
+            const { data, error } = await client.rpc('proxy_consume_quota', {
+                p_key: key, p_amount: amount, p_limit: limit || null, p_ttl_seconds: ttlSeconds,
+            });
+            if (error) throw new Error(error.message);
+            const row = Array.isArray(data) ? data[0] : data;
+            return { allowed: !!row?.allowed, used: Number(row?.used || 0) };
+        },
+        async addUsage(key, amount, ttlSeconds) {
+            const result = await this.consumeQuota(key, amount, null, ttlSeconds);
+            return result.used;
+        },
+    };
+}
+
+function createRateLimitStore() {
+    if (RATE_LIMIT_STORE === 'supabase') {
+        if (!SUPABASE_SERVICE_ROLE_KEY) {
+            console.error('WARNING: RATE_LIMIT_STORE=supabase requires SUPABASE_SERVICE_ROLE_KEY - falling back to memory store');
+            return createMemoryRateLimitStore();
+        }
+        return createSupabaseRateLimitStore(createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY));
+    }
+    return createMemoryRateLimitStore();
+}
+
+const rateLimitStore = createRateLimitStore();
+
+function routeRateLimit(routeName) {
+    const override = RATE_LIMIT_ROUTES[routeName] || {};
+    const perMinute = override.per_minute ?? RATE_LIMIT_PER_MINUTE;
+    return {
+        capacity: override.burst ?? RATE_LIMIT_BURST,
+        refillPerSecond: perMinute / 60,
+    };
+}
+
+// Quotas reset at UTC midnight
+function quotaWindow() {
+    const now = new Date();
+    const nextMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return {
+        day: now.toISOString().substring(0, 10),
+        secondsUntilReset: Math.max(1, Math.ceil((nextMidnight - now.getTime()) / 1000)),
+    };
+}
+
+// Take one request token from the user's bucket for a route.
+// Returns null when allowed, or { message, retryAfter } when the user is over the limit.
+// Store failures fail open - a broken limiter must not take the proxy down.
+async function takeRateLimitToken(userId, routeName) {
+    const { capacity, refillPerSecond } = routeRateLimit(routeName);
+    if (!capacity || !refillPerSecond) return null;
+    try {
+        const result = await rateLimitStore.takeToken(`rl:${userId}:${routeName}`, capacity, refillPerSecond);
+        if (result.allowed) return null;
+        return {
+            message: 'Rate limit exceeded, slow down',
+            retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000)),
+        };
+    } catch (err) {
+        console.error(`Rate limit store error (${rateLimitStore.name}):`, err.message);
+        return null;
+    }
+}
+
+// Reserve `amount` of a daily quota. Returns null when allowed, or { message, retryAfter }.
+async function consumeDailyQuota(userId, kind, amount) {
+    const limit = DAILY_QUOTAS[kind];
+    if (!limit) return null;
+    const { day, secondsUntilReset } = quotaWindow();
+    try {
+        const result = await rateLimitStore.consumeQuota(`quota:${userId}:${kind}:${day}`, amount, limit, secondsUntilReset + 3600);
+        if (result.allowed) return null;
+        return {
+            message: `Daily ${kind} quota exceeded (${result.used}/${limit})`,
+            retryAfter: secondsUntilReset,
+        };
+    } catch (err) {
+        console.error(`Quota store error (${rateLimitStore.name}):`, err.message);
+        return null;
+    }
+}
+
+// Record usage that is only known after the fact (chat tokens, streaming time).
+// Returns true while the user is still within the quota.
+async function recordDailyUsage(userId, kind, amount) {
+    const limit = DAILY_QUOTAS[kind];
+    if (!limit || !amount) return true;
+    const { day, secondsUntilReset } = quotaWindow();
+    try {
+        const used = await rateLimitStore.addUsage(`quota:${userId}:${kind}:${day}`, amount, secondsUntilReset + 3600);
+        return used < limit;
+    } catch (err) {
+        console.error(`Quota store error (${rateLimitStore.name}):`, err.message);
+        return true;
+    }
+}
+
+// Chat completions report usage.total_tokens; fall back to ~4 chars per token if missing
+function countChatTokens(responseText) {
+    try {
+        const response = JSON.parse(responseText);
+        if (response.usage?.total_tokens) return response.usage.total_tokens;
+    } catch (e) {}
+    return Math.ceil(responseText.length / 4);
+}
+
+// Streamed responses only carry usage when the client asked for stream_options.include_usage.
+// Otherwise estimate from the prompt messages and the streamed delta content.
+function countStreamedChatTokens(sseText, promptText) {
+    let completionChars = 0;
+    for (const line of sseText.split('\n')) {
+        if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+        try {
+            const chunk = JSON.parse(line.substring(6));
+            if (chunk.usage?.total_tokens) return chunk.usage.total_tokens;
+            for (const choice of chunk.choices || []) {
+                completionChars += choice.delta?.content?.length || 0;
+            }
+        } catch (e) {}
+    }
+    return Math.ceil((promptText.length + completionChars) / 4);
+}
+
+// A 429 for a { message, retryAfter } returned by the rate limiter or a quota
+function rateLimitError(limited) {
+    return httpError(429, limited.message, {
+        headers: { 'Retry-After': String(limited.retryAfter) },
+        details: { retry_after: limited.retryAfter },
+    });
+}
+
+// Throw a 429 when `amount` doesn't fit in today's quota
+async function assertDailyQuota(userId, kind, amount) {
+    const quotaExceeded = await consumeDailyQuota(userId, kind, amount);
+    if (quotaExceeded) throw rateLimitError(quotaExceeded);
+}
+
+// Give back quota reserved up front for work the provider never did (failed or cancelled calls)
+async function refundDailyQuota(userId, kind, amount) {
+    if (amount > 0) await recordDailyUsage(userId, kind, -amount);
+}
+
+// ============================================================================
+// Usage metering
+// ============================================================================
+
+// Every sink implements record(entry) and totals(userId, sinceIso).
+// Memory keeps a bounded ring of recent records - meant for tests and local runs.
+function createMemoryUsageSink(maxRecords = 10000) {
+    const records = [];
+    return {
+        name: 'memory',
+        records,
+        async record(entry) {
+            records.push(entry);
+            if (records.length > maxRecords) records.shift();
+        },
+        async totals(userId, sinceIso) {
+            return summarizeUsage(records.filter(r => r.user_id === userId && r.timestamp >= sinceIso));
+        },
+    };
+}
+
+// Append-only JSONL file, one record per line. Totals scan the file.
+function createFileUsageSink(filePath) {
+    let ready = null;
+    return {
+        name: 'file',
+        async record(entry) {
+            ready = ready || mkdir(dirname(filePath), { recursive: true });
+            await ready;
+            await appendFile(filePath, JSON.stringify(entry) + '\n');
+        },
+        async totals(userId, sinceIso) {
+            if (!existsSync(filePath)) return summarizeUsage([]);
+            const matching = [];
+            const lines = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line.includes(userId)) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.user_id === userId && entry.timestamp >= sinceIso) matching.push(entry);
+                } catch (e) {}
+            }
+            return summarizeUsage(matching);
+        },
+    };
+}
+
+// Supabase table with the same columns as the record (see DEPLOYMENT_GUIDE.md).
+// Uses the service role key so inserts don't depend on per-user RLS policies.
+function createSupabaseUsageSink(client, table) {
+    return {
+        name: 'supabase',
+        async record(entry) {
+            const { error } = await client.from(table).insert(entry);
+            if (error) throw new Error(error.message);
+        },
+        async totals(userId, sinceIso) {
+            const { data, error } = await client.from(table)
+                .select('provider, characters, audio_seconds, tokens, bytes, duration_ms')
+                .eq('user_id', userId)
+                .gte('timestamp', sinceIso)
+                .limit(50000);
+            if (error) throw new Error(error.message);
+            return summarizeUsage(data || []);
+        },
+    };
+}
+
+function createUsageSink() {
+    if (USAGE_SINK === 'file') return createFileUsageSink(USAGE_LOG_PATH);
+    if (USAGE_SINK === 'supabase') {
+        if (!SUPABASE_SERVICE_ROLE_KEY) {
+            console.error('WARNING: USAGE_SINK=supabase requires SUPABASE_SERVICE_ROLE_KEY - falling back to memory sink');
+            return createMemoryUsageSink();
+        }
+        return createSupabaseUsageSink(createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY), USAGE_TABLE);
+    }
+    return createMemoryUsageSink();
+}
+
+const usageSink = createUsageSink();
+
+// Write one usage record. Never throws - metering must not break the request it measures.
+function recordUsage({ userId, route, provider, model = null, characters = 0, audioSeconds = 0, tokens = 0, bytes = 0, durationMs = 0, status = 'ok' }) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        user_id: userId,
+        route,
+        provider,
+        model,
+        characters,
+        audio_seconds: Math.round(audioSeconds * 1000) / 1000,
+        tokens,
+        bytes,
+        duration_ms: Math.round(durationMs),
+        status,
+    };
+    usageSink.record(entry).catch(err => {
+        console.error(`Usage sink error (${usageSink.name}):`, err.message);
+    });
+}
+
+// ============================================================================
+// Session transcripts
+// ============================================================================
+
+// Every store implements save(transcript), list(userId, limit) -> summaries (newest first)
+// and get(userId, id) -> transcript or null. Transcripts are only visible to their owner.
+const TRANSCRIPT_MAX_SEGMENTS = 50000;
+
+function transcriptSummary(transcript) {
+    const { segments, ...summary } = transcript;
+    return summary;
+}
+
+function createMemoryTranscriptStore(maxTranscripts = 1000) {
+    const transcripts = new Map();
+    return {
+        name: 'memory',
+        async save(transcript) {
+            transcripts.set(transcript.id, transcript);
+            if (transcripts.size > maxTranscripts) transcripts.delete(transcripts.keys().next().value);
+        },
+        async list(userId, limit) {
+            return [...transcripts.values()]
+                .filter(t => t.user_id === userId)
+                .reverse()
+                .slice(0, limit)
+                .map(transcriptSummary);
+        },
+        async get(userId, id) {
+            const transcript = transcripts.get(id);
+            return transcript && transcript.user_id === userId ? transcript : null;
+        },
+    };
+}
+
+// <dir>/<id>.json per transcript, plus index.jsonl of summaries so listing doesn't read every file
+function createFileTranscriptStore(dir) {
+    const indexPath = join(dir, 'index.jsonl');
+    let ready = null;
+    return {
+        name: 'file',
+        async save(transcript) {
+            ready = ready || mkdir(dir, { recursive: true });
+            await ready;
+            await writeFile(join(dir, `${transcript.id}.json`), JSON.stringify(transcript));
+            await appendFile(indexPath, JSON.stringify(transcriptSummary(transcript)) + '\n');
+        },
+        async list(userId, limit) {
+            if (!existsSync(indexPath)) return [];
+            const matching = [];
+            const lines = createInterface({ input: createReadStream(indexPath), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line.includes(userId)) continue;
+                try {
+                    const summary = JSON.parse(line);
+                    if (summary.user_id === userId) matching.push(summary);
+                } catch (e) {}
+            }
+            return matching.reverse().slice(0, limit);
+        },
+        async get(userId, id) {
+            // Ids are UUIDs we generated - anything else can't name a file of ours
+            if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+            try {
+                const transcript = JSON.parse(await readFile(join(dir, `${id}.json`), 'utf8'));
+                return transcript.user_id === userId ? transcript : null;
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+    };
+}
+
+// Supabase table (see DEPLOYMENT_GUIDE.md), written with the service role key
+function createSupabaseTranscriptStore(client, table) {
+    return {
+        name: 'supabase',
+        async save(transcript) {
+            const { error } = await client.from(table).insert(transcript);
+            if (error) throw new Error(error.message);
+        },
+        async list(userId, limit) {
+            const { data, error } = await client.from(table)
+                .select('id, user_id, room_id, started_at, ended_at, model, source_language, target_languages, segment_count')
+                .eq('user_id', userId)
+                .order('started_at', { ascending: false })
+                .limit(limit);
+            if (error) throw new Error(error.message);
+            return data || [];
+        },
+        async get(userId, id) {
+            const { data, error } = await client.from(table)
+                .select('*')
+                .eq('user_id', userId)
+                .eq('id', id)
+                .maybeSingle();
+            if (error) throw new Error(error.message);
+            return data;
+        },
+    };
+}
+
+function createTranscriptStore() {
+    if (TRANSCRIPT_STORE === 'memory') return createMemoryTranscriptStore();
+    if (TRANSCRIPT_STORE === 'file') return createFileTranscriptStore(TRANSCRIPT_DIR);
+    if (TRANSCRIPT_STORE === 'supabase') {
+        if (!SUPABASE_SERVICE_ROLE_KEY) {
+            console.error('WARNING: TRANSCRIPT_STORE=supabase requires SUPABASE_SERVICE_ROLE_KEY - transcripts disabled');
+            return null;
+        }
+        return createSupabaseTranscriptStore(createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY), TRANSCRIPT_TABLE);
+    }
+    return null;
+}
+
+const transcriptStore = createTranscriptStore();
+// Saves still in flight, so shutdown can wait for them
+const pendingTranscriptSaves = new Set();
+
+// Write a finished session's transcript. Never throws - like usage, it must not break cleanup.
+function saveTranscript(capture) {
+    if (!transcriptStore || capture.segments.length === 0) return;
+    const transcript = {
+        id: capture.id,
+        user_id: capture.userId,
+        room_id: capture.roomId,
+        started_at: capture.startedAt,
+        ended_at: new Date().toISOString(),
+        model: capture.model,
+        source_language: capture.sourceLanguage,
+        target_languages: [...capture.targetLanguages],
+        segment_count: capture.segments.length,
+        segments: capture.segments,
+    };
+    const saving = transcriptStore.save(transcript)
+        .then(() => console.log(`Transcript ${transcript.id} saved (${transcript.segment_count} segments)`))
+        .catch(err => console.error(`Transcript store error (${transcriptStore.name}):`, err.message))
+        .finally(() => pendingTranscriptSaves.delete(saving));
+    pendingTranscriptSaves.add(saving);
+}
+
+// ============================================================================
+// Caption export
+// ============================================================================
+
+const EXPORT_FORMATS = {
+    srt: 'application/x-subrip; charset=utf-8',
+    vtt: 'text/vtt; charset=utf-8',
+    txt: 'text/plain; charset=utf-8',
+};
+const EXPORT_TRACKS = ['original', 'translation', 'bilingual'];
+// Broadcast caption conventions: two lines of at most 42 characters per cue
+const CAPTION_LINE_CHARS = 42;
+const CAPTION_MAX_LINES = 2;
+const CAPTION_DEFAULT_MS = 2000;
+
+// Turn a raw Soniox token array (as clients receive it) into stored segments,
+// using the same segmentation as protocol 2 - only final tokens count
+function segmentsFromTokens(tokens) {
+    const conn = { transcript: createTranscriptState(), upstreamOffsetMs: 0, lastConfig: null };
+    return transcriptSegments(transcriptEvents(conn, { tokens: tokens.filter(token => token && token.is_final && typeof token.text === 'string'), finished: true }));
+}
+
+// Build the cue list for one track:
+//   original    - the spoken text (only `language` when given)
+//   translation - one translation language (required when there are several)
+//   bilingual   - each spoken segment with the translation overlapping it as a second block
+function captionCues(segments, { track, language }) {
+    const originals = segments.filter(s => s.type === 'original' && s.text);
+    const translations = segments.filter(s => s.type === 'translation' && s.text);
+    
+    if (track === 'original') {
+        const selected = language ? originals.filter(s => s.language === language) : originals;
+        return selected.flatMap(s => splitCue(s.start_ms, s.end_ms, s.text));
+    }
+    
+    const translationLanguage = language || onlyLanguage(translations);
+    const translated = translations.filter(s => s.language === translationLanguage);
+    if (track === 'translation') {
+        return translated.flatMap(s => splitCue(s.start_ms, s.end_ms, s.text));
+    }
+    
+    return originals.map(original => {
+        const overlapping = translated.filter(t => overlaps(original, t));
+        const blocks = [original.text];
+        if (overlapping.length > 0) blocks.push(overlapping.map(t => t.text).join(' '));
+        return { startMs: original.start_ms, endMs: original.end_ms, blocks };
+    });
+}
+
+function onlyLanguage(translations) {
+    const languages = [...new Set(translations.map(s => s.language))];
+    if (languages.length > 1) {
+        throw httpError(400, `Several translation languages (${languages.join(', ')}) - pass language`);
+    }
+    return languages[0];
+}
+
+// A translation belongs to the segment its midpoint falls in (no timing: no match)
+function overlaps(original, translation) {
+    if (typeof translation.start_ms !== 'number' || typeof original.start_ms !== 'number') return false;
+    const mid = (translation.start_ms + (translation.end_ms ?? translation.start_ms)) / 2;
+    return mid >= original.start_ms && mid <= (original.end_ms ?? original.start_ms);
+}
+
+// Long segments become several cues, timed in proportion to their share of the text
+function splitCue(startMs, endMs, text) {
+    const chunks = [];
+    let current = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (current && current.length + 1 + word.length > CAPTION_LINE_CHARS * CAPTION_MAX_LINES) {
+            chunks.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    }
+    if (current) chunks.push(current);
+    if (chunks.length <= 1 || typeof startMs !== 'number' || typeof endMs !== 'number') {
+        return [{ startMs, endMs, blocks: [text] }];
+    }
+    
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let at = startMs;
+    return chunks.map((chunk, i) => {
+        const cueEnd = i === chunks.length - 1 ? endMs : Math.round(at + (endMs - startMs) * chunk.length / total);
+        const cue = { startMs: at, endMs: cueEnd, blocks: [chunk] };
+        at = cueEnd;
+        return cue;
+    });
+}
+
+// Word-wrap to CAPTION_LINE_CHARS (long lines are fine in plain text, not on screen)
+function wrapCaption(text) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > CAPTION_LINE_CHARS) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Cues without timing (e.g. translations of untimed text) follow the previous cue
+function timedCues(cues) {
+    let previousEnd = 0;
+    return cues.map(cue => {
+        const startMs = typeof cue.startMs === 'number' ? Math.max(cue.startMs, 0) : previousEnd;
+        const endMs = typeof cue.endMs === 'number' && cue.endMs > startMs ? cue.endMs : startMs + CAPTION_DEFAULT_MS;
+        previousEnd = endMs;
+        return { ...cue, startMs, endMs };
+    });
+}
+
+function captionTimestamp(ms, separator) {
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(Math.round(ms) % 1000, 3)}`;
+}
+
+function renderCaptions(cues, format) {
+    if (format === 'txt') {
+        return cues.map(cue => cue.blocks.join('\n')).join(cues.some(cue => cue.blocks.length > 1) ? '\n\n' : '\n') + '\n';
+    }
+    
+    const separator = format === 'srt' ? ',' : '.';
+    const body = timedCues(cues).map((cue, i) => [
+        ...(format === 'srt' ? [String(i + 1)] : []),
+        `${captionTimestamp(cue.startMs, separator)} --> ${captionTimestamp(cue.endMs, separator)}`,
+        // WebVTT ends a cue at the first blank line, so "-->" and blank lines never reach the text
+        ...cue.blocks.flatMap(wrapCaption).map(line => line.replace(/-->/g, '->')),
+    ].join('\n')).join('\n\n');
+    return format === 'vtt' ? `WEBVTT\n\n${body}\n` : `${body}\n`;
+}
+
+// Validate ?format / ?track / ?language (or the same fields in a POST body)
+function exportOptions(source) {
+    const format = source.format || 'srt';
+    const track = source.track || 'original';
+    if (!EXPORT_FORMATS[format]) {
+        throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (!EXPORT_TRACKS.includes(track)) {
+        throw httpError(400, `track must be one of: ${EXPORT_TRACKS.join(', ')}`);
+    }
+    // It ends up in the Content-Disposition filename, so only plain language codes (en, pt-BR)
+    const language = source.language || null;
+    if (language !== null && (typeof language !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(language))) {
+        throw httpError(400, 'language must be a language code such as en or pt-BR');
+    }
+    return { format, track, language };
+}
+
+function sendCaptions(res, segments, options, filename) {
+    const text = renderCaptions(captionCues(segments, options), options.format);
+    const suffix = options.track === 'original' ? '' : `.${options.track}`;
+    const language = options.language ? `.${options.language}` : '';
+    res.writeHead(200, {
+        'Content-Type': EXPORT_FORMATS[options.format],
+        'Content-Disposition': `attachment; filename="${filename}${suffix}${language}.${options.format}"`,
+    });
+    res.end(text);
+}
+
+// ============================================================================
+// File transcription jobs
+// ============================================================================
+
+// upload_id -> { id, userId, path, filename, bytes, createdAt } until a job takes it or it expires
+const uploads = new Map();
+// upload id -> { userId, bytes } for uploads still arriving; bytes is what they may grow to
+const receivingUploads = new Map();
+// job id -> job. Jobs live in memory on this instance; Soniox holds the audio while they run.
+const jobs = new Map();
+// Bytes of files in JOB_UPLOAD_DIR that no upload or job above owns - left by an earlier run (or
+// another instance on the same volume) and not yet expired. Counted as used by uploadAllowance.
+let untrackedJobBytes = 0;
+const JOB_FINAL_STATUSES = new Set(['completed', 'failed']);
+// Consecutive failed status polls before a job is given up on
+const JOB_MAX_POLL_FAILURES = 10;
+const JOB_WEBHOOK_ATTEMPTS = 3;
+
+// Soniox REST call with our key. Resolves with the parsed JSON (null for empty bodies), throws on non-2xx.
+// A non-JSON `body` may be a stream, sent with its own `contentType`.
+async function sonioxApi(path, { method = 'GET', json, body, contentType, timeoutMs } = {}) {
+    const response = await upstreamFetch('/api/jobs', 'soniox', `${SONIOX_API_URL}${path}`, {
+        method,
+        timeoutMs,
+        headers: {
+            'Authorization': `Bearer ${SONIOX_API_KEY}`,
+            ...(json ? { 'Content-Type': 'application/json' } : {}),
+            ...(contentType ? { 'Content-Type': contentType } : {}),
+        },
+        body: json ? JSON.stringify(json) : body,
+        ...(body && typeof body[Symbol.asyncIterator] === 'function' ? { duplex: 'half' } : {}),
+    });
+    const text = await response.text();
+    if (!response.ok) {
+        let message = text.substring(0, 200);
+        try { message = JSON.parse(text).message || message; } catch (e) {}
+        throw new Error(`Soniox ${method} ${path} failed (${response.status}): ${message}`);
+    }
+    return text ? JSON.parse(text) : null;
+}
+
+function jobView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        model: job.model,
+        filename: job.filename,
+        bytes: job.bytes,
+        translation: job.translation,
+        audio_duration_ms: job.audioDurationMs,
+        error: job.error,
+        created_at: job.createdAt,
+        updated_at: job.updatedAt,
+        expires_at: new Date(Date.parse(job.createdAt) + JOB_RETENTION_HOURS * 3600000).toISOString(),
+    };
+}
+
+function jobResultPath(job) {
+    return join(JOB_UPLOAD_DIR, `${job.id}.transcript.json`);
+}
+
+function setJobStatus(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.updatedAt = new Date().toISOString();
+}
+
+// Addresses a user-supplied URL may never reach: this network, loopback, private, CGNAT,
+// link-local, benchmarking, multicast and reserved ranges, and the IPv6 forms that wrap an
+// IPv4 address (IPv4-mapped, NAT64, 6to4) - those could smuggle in any of the above.
+// One list per family: a BlockList also matches IPv4 addresses against ::ffff:0:0/96.
+const NON_PUBLIC_ADDRESSES = { ipv4: new BlockList(), ipv6: new BlockList() };
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    NON_PUBLIC_ADDRESSES.ipv4.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    NON_PUBLIC_ADDRESSES.ipv6.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    const family = isIP(address) === 6 ? 'ipv6' : isIP(address) === 4 ? 'ipv4' : null;
+    return family !== null && !NON_PUBLIC_ADDRESSES[family].check(address, family);
+}
+
+// Only public https URLs - callbacks are sent from inside our network. This is the syntax check
+// at submission; names are only resolved (and checked) when the callback is sent.
+function checkCallbackUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return 'callback_url must be a valid URL';
+    }
+    if (url.protocol !== 'https:') return 'callback_url must use https';
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')
+        || (isIP(host) && !isPublicAddress(host))) {
+        return 'callback_url must be a public host';
+    }
+    return null;
+}
+
+// dns.lookup for webhook sockets. Fails unless every address the name resolves to is public, and
+// hands the socket the address it checked - a second resolution could answer differently.
+function publicLookup(hostname, options, callback) {
+    dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            const blocked = new Error(`${hostname} resolves to a non-public address`);
+            blocked.code = 'ENOTPUBLIC';
+            return callback(blocked);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST to a customer's webhook URL; resolves with the HTTP status. Goes out through https
+// rather than fetch so the connection can be pinned to checked addresses (publicLookup).
+// Redirects are not followed. No retries or circuit breaker here - one customer's broken
+// endpoint must not trip a breaker for everyone, and sendJobCallback retries on its own.
+function postWebhook(route, url, headers, body) {
+    const startedAt = Date.now();
+    const timeoutMs = upstreamTimeout('webhook');
+    return new Promise((resolve, reject) => {
+        const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        // Literal addresses never reach the lookup
+        if (isIP(host) && !isPublicAddress(host)) {
+            reject(new Error(`${host} is not a public address`));
+            return;
+        }
+        const req = httpsRequest(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+            timeout: timeoutMs,
+        }, (res) => {
+            res.resume();
+            metrics.upstreamLatency.observe({ route, provider: 'webhook', status: String(res.statusCode) }, (Date.now() - startedAt) / 1000);
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                metrics.upstreamErrors.inc({ route, provider: 'webhook', reason: `http_${res.statusCode}` });
+            }
+            resolve(res.statusCode);
+        });
+        req.on('timeout', () => req.destroy(Object.assign(new Error(`no response within ${timeoutMs}ms`), { timedOut: true })));
+        req.on('error', (err) => {
+            metrics.upstreamLatency.observe({ route, provider: 'webhook', status: 'error' }, (Date.now() - startedAt) / 1000);
+            metrics.upstreamErrors.inc({ route, provider: 'webhook', reason: err.timedOut ? 'timeout' : 'network' });
+            reject(err);
+        });
+        req.end(body);
+    });
+}
+
+// Soniox translation options: { type: 'one_way', target_language } or { type: 'two_way', language_a, language_b }
+function translationLanguages(translation) {
+    if (!translation) return [];
+    return translation.type === 'two_way'
+        ? [translation.language_a, translation.language_b]
+        : [translation.target_language];
+}
+
+// How many bytes the next upload from this user may take - the least of the per-file, per-user
+// and JOB_UPLOAD_DIR allowances, counting stored uploads and those still arriving. Throws when
+// there is no room: 429 while it's the user's own uploads, 507 when the directory is full.
+function uploadAllowance(userId) {
+    let userCount = 0;
+    let userBytes = 0;
+    let totalBytes = untrackedJobBytes;
+    for (const entry of [...uploads.values(), ...receivingUploads.values()]) {
+        totalBytes += entry.bytes;
+        if (entry.userId !== userId) continue;
+        userCount += 1;
+        userBytes += entry.bytes;
+    }
+    if (userCount >= JOB_MAX_UPLOADS_PER_USER) {
+        throw bodyError(429, `At most ${JOB_MAX_UPLOADS_PER_USER} uploads can be waiting - submit them as jobs or let them expire`);
+    }
+    if (userBytes >= JOB_MAX_UPLOAD_BYTES_PER_USER) {
+        throw bodyError(429, `Waiting uploads already use ${userBytes} of ${JOB_MAX_UPLOAD_BYTES_PER_USER} bytes - submit them as jobs or let them expire`);
+    }
+    if (totalBytes >= JOB_UPLOAD_DIR_MAX_BYTES) {
+        throw bodyError(507, 'Upload storage is full - try again later');
+    }
+    return Math.min(JOB_MAX_UPLOAD_BYTES, JOB_MAX_UPLOAD_BYTES_PER_USER - userBytes, JOB_UPLOAD_DIR_MAX_BYTES - totalBytes);
+}
+
+function discardUpload(upload) {
+    uploads.delete(upload.id);
+    unlink(upload.path).catch(() => {});
+}
+
+// A multipart/form-data body holding one file, streamed from disk. FormData would need the
+// whole file in memory as a Blob (fs.openAsBlob only arrived in Node 20.16).
+function multipartFileStream(field, path, filename) {
+    const boundary = `----soniox-proxy-${randomUUID()}`;
+    const safeName = filename.replace(/["\\\r\n]/g, '_');
+    async function* parts() {
+        yield Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="${safeName}"\r\n`
+            + 'Content-Type: application/octet-stream\r\n\r\n');
+        yield* createReadStream(path);
+        yield Buffer.from(`\r\n--${boundary}--\r\n`);
+    }
+    return { body: parts(), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+// Upload -> create transcription -> poll. Never throws; failures end up in job.status/job.error.
+async function runJob(job, upload) {
+    try {
+        const { body, contentType } = multipartFileStream('file', upload.path, upload.filename);
+        // Soniox answers once the whole file is in, so the upload gets as long as ours did
+        const file = await sonioxApi('/files', { method: 'POST', body, contentType, timeoutMs: JOB_UPLOAD_TIMEOUT_MS });
+        job.sonioxFileId = file.id;
+        discardUpload(upload);
+        
+        const transcription = await sonioxApi('/transcriptions', {
+            method: 'POST',
+            json: {
+                model: job.model,
+                file_id: file.id,
+                client_reference_id: job.id,
+                ...job.options,
+                ...(job.translation ? { translation: job.translation } : {}),
+            },
+        });
+        job.sonioxTranscriptionId = transcription.id;
+        setJobStatus(job, transcription.status === 'processing' ? 'processing' : 'queued');
+        console.log(`Job ${job.id} submitted to Soniox as ${transcription.id}`);
+        scheduleJobPoll(job);
+    } catch (err) {
+        console.error(`Job ${job.id} submit error:`, err.message);
+        // Not kept around while finishJob retries the callback
+        discardUpload(upload);
+        await finishJob(job, 'failed', err.message);
+    }
+}
+
+function scheduleJobPoll(job) {
+    job.pollTimer = setTimeout(() => pollJob(job), JOB_POLL_INTERVAL_MS);
+    job.pollTimer.unref();
+}
+
+async function pollJob(job) {
+    job.pollTimer = null;
+    if (!jobs.has(job.id)) return;
+    try {
+        const transcription = await sonioxApi(`/transcriptions/${encodeURIComponent(job.sonioxTranscriptionId)}`);
+        job.pollFailures = 0;
+        job.audioDurationMs = transcription.audio_duration_ms ?? job.audioDurationMs;
+        
+        if (transcription.status === 'completed') {
+            const transcript = await sonioxApi(`/transcriptions/${encodeURIComponent(job.sonioxTranscriptionId)}/transcript`);
+            await writeFile(jobResultPath(job), JSON.stringify({ text: transcript.text, tokens: transcript.tokens || [] }));
+            job.hasResult = true;
+            await finishJob(job, 'completed');
+            return;
+        }
+        if (transcription.status === 'error') {
+            await finishJob(job, 'failed', transcription.error_message || 'Transcription failed');
+            return;
+        }
+        if (transcription.status !== job.status) setJobStatus(job, transcription.status);
+    } catch (err) {
+        job.pollFailures = (job.pollFailures || 0) + 1;
+        console.error(`Job ${job.id} poll error (${job.pollFailures}/${JOB_MAX_POLL_FAILURES}):`, err.message);
+        if (job.pollFailures >= JOB_MAX_POLL_FAILURES) {
+            await finishJob(job, 'failed', 'Lost track of the Soniox transcription');
+            return;
+        }
+    }
+    scheduleJobPoll(job);
+}
+
+// Record usage, free everything Soniox holds for the job and tell the client
+async function finishJob(job, status, error = null) {
+    setJobStatus(job, status, error);
+    const audioSeconds = (job.audioDurationMs || 0) / 1000;
+    console.log(`Job ${job.id} ${status}${error ? `: ${error}` : ''}`);
+    recordUsage({
+        userId: job.userId,
+        route: 'soniox_jobs',
+        provider: 'soniox',
+        model: job.model,
+        audioSeconds,
+        bytes: job.bytes,
+        durationMs: Date.now() - Date.parse(job.createdAt),
+        status: status === 'completed' ? 'ok' : 'upstream_error',
+    });
+    if (status === 'completed') recordDailyUsage(job.userId, 'file_minutes', audioSeconds / 60);
+    
+    const cleanup = [];
+    if (job.sonioxTranscriptionId) cleanup.push(sonioxApi(`/transcriptions/${encodeURIComponent(job.sonioxTranscriptionId)}`, { method: 'DELETE' }));
+    if (job.sonioxFileId) cleanup.push(sonioxApi(`/files/${encodeURIComponent(job.sonioxFileId)}`, { method: 'DELETE' }));
+    for (const result of await Promise.allSettled(cleanup)) {
+        if (result.status === 'rejected') console.error(`Job ${job.id} cleanup error:`, result.reason.message);
+    }
+    
+    if (job.callbackUrl) await sendJobCallback(job);
+}
+
+// POST the job to its callback_url, retrying with backoff. Signed as
+// X-Signature: sha256=HMAC(JOB_WEBHOOK_SECRET, `${timestamp}.${body}`) when a secret is configured.
+async function sendJobCallback(job) {
+    const body = JSON.stringify({ event: `job.${job.status}`, job: jobView(job) });
+    for (let attempt = 1; attempt <= JOB_WEBHOOK_ATTEMPTS; attempt++) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = { 'Content-Type': 'application/json', 'X-Signature-Timestamp': timestamp };
+        if (JOB_WEBHOOK_SECRET) {
+            headers['X-Signature'] = `sha256=${createHmac('sha256', JOB_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+        }
+        try {
+            const status = await postWebhook('/api/jobs', job.callbackUrl, headers, body);
+            if (status >= 200 && status < 300) return;
+            console.error(`Job ${job.id} callback attempt ${attempt} got HTTP ${status}`);
+        } catch (err) {
+            console.error(`Job ${job.id} callback attempt ${attempt} failed:`, err.message);
+        }
+        if (attempt < JOB_WEBHOOK_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, 5000 * attempt));
+    }
+}
+
+// Is this file in JOB_UPLOAD_DIR an upload or result of ours?
+function ownedJobFile(name) {
+    if (name.endsWith('.upload')) {
+        const id = name.slice(0, -'.upload'.length);
+        return uploads.has(id) || receivingUploads.has(id);
+    }
+    return name.endsWith('.transcript.json') && jobs.has(name.slice(0, -'.transcript.json'.length));
+}
+
+// Drop expired uploads and jobs (and their result files). Files nothing here owns - their
+// entries died with an earlier process - expire by mtime instead.
+async function sweepJobs() {
+    const cutoff = Date.now() - JOB_RETENTION_HOURS * 3600000;
+    for (const upload of uploads.values()) {
+        if (Date.parse(upload.createdAt) < cutoff && !upload.jobId) {
+            discardUpload(upload);
+        }
+    }
+    for (const job of jobs.values()) {
+        if (Date.parse(job.createdAt) >= cutoff || !JOB_FINAL_STATUSES.has(job.status)) continue;
+        jobs.delete(job.id);
+        if (job.hasResult) unlink(jobResultPath(job)).catch(() => {});
+    }
+    
+    if (!existsSync(JOB_UPLOAD_DIR)) return;
+    let untracked = 0;
+    for (const name of await readdir(JOB_UPLOAD_DIR)) {
+        const path = join(JOB_UPLOAD_DIR, name);
+        try {
+            const info = await stat(path);
+            if (ownedJobFile(name)) continue;
+            if (info.mtimeMs < cutoff) await unlink(path);
+            else untracked += info.size;
+        } catch (e) {}
+    }
+    untrackedJobBytes = untracked;
+}
+
+const runJobSweep = () => sweepJobs().catch(err => console.error('Job sweep error:', err.message));
+// At startup too, so files left by the previous process count against JOB_UPLOAD_DIR_MAX_BYTES at once
+runJobSweep();
+setInterval(runJobSweep, 10 * 60 * 1000).unref();
+
+// ============================================================================
+// Prometheus metrics
+// ============================================================================
+
+// Minimal text-format registry - counters, gauges and histograms keyed by label set
+const metricRegistry = [];
+
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+}
+
+function createCounter(name, help) {
+    const series = new Map();
+    const metric = {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of series) lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+            return lines.join('\n');
+        },
+    };
+    metricRegistry.push(metric);
+    return metric;
+}
+
+// Gauges are sampled at scrape time
+function createGauge(name, help, collect) {
+    const metric = {
+        render() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`].join('\n');
+        },
+    };
+    metricRegistry.push(metric);
+    return metric;
+}
+
+function createHistogram(name, help, buckets) {
+    const series = new Map();
+    const metric = {
+        observe(labels, value) {
+            const key = labelKey(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i] += 1; });
+            entry.sum += value;
+            entry.count += 1;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, entry] of series) {
+                const prefix = key ? `${key},` : '';
+                buckets.forEach((bound, i) => lines.push(`${name}_bucket{${prefix}le="${bound}"} ${entry.counts[i]}`));
+                lines.push(`${name}_bucket{${prefix}le="+Inf"} ${entry.count}`);
+                lines.push(`${name}_sum${key ? `{${key}}` : ''} ${entry.sum}`);
+                lines.push(`${name}_count${key ? `{${key}}` : ''} ${entry.count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+    metricRegistry.push(metric);
+    return metric;
+}
+
+const metrics = {
+    activeConnections: createGauge('soniox_proxy_ws_connections_active', 'Open client WebSocket connections', () => connections.size),
+    activeRooms: createGauge('soniox_proxy_rooms_active', 'Open broadcast rooms', () => rooms.size),
+    sonioxSessionDuration: createHistogram('soniox_proxy_soniox_session_duration_seconds', 'Lifetime of upstream Soniox WebSocket sessions',
+        [1, 5, 15, 30, 60, 300, 900, 1800, 3600, 7200]),
+    sonioxSessionsClosed: createCounter('soniox_proxy_soniox_sessions_closed_total', 'Upstream Soniox sessions closed, by whether Soniox had acknowledged the config'),
+    upstreamLatency: createHistogram('soniox_proxy_upstream_request_duration_seconds', 'Time until upstream provider response headers',
+        [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30]),
+    upstreamErrors: createCounter('soniox_proxy_upstream_errors_total', 'Upstream provider requests that failed or returned a non-2xx status'),
+    authFailures: createCounter('soniox_proxy_auth_failures_total', 'Rejected authentication attempts'),
+    relayedBytes: createCounter('soniox_proxy_relayed_bytes_total', 'Bytes relayed between clients and Soniox'),
+    ttsCache: createCounter('soniox_proxy_tts_cache_requests_total', 'HTTP TTS requests by cache result'),
+    ttsFailovers: createCounter('soniox_proxy_tts_failovers_total', 'Unified TTS attempts that failed and moved on to the next provider'),
+    upstreamRetries: createCounter('soniox_proxy_upstream_retries_total', 'Upstream provider requests repeated after a retryable failure'),
+    circuitOpened: createCounter('soniox_proxy_upstream_circuit_opened_total', 'Times an upstream provider circuit opened'),
+};
+
+function renderMetrics() {
+    return metricRegistry.map(metric => metric.render()).join('\n') + '\n';
+}
+
+// ----------------------------------------------------------------------------
+// Upstream client
+// ----------------------------------------------------------------------------
+
+// Per-provider timeouts until the response starts; webhook URLs belong to customers
+const DEFAULT_UPSTREAM_TIMEOUTS_MS = { openai: 60000, deepgram: 30000, deepl: 15000, soniox: 30000, webhook: 10000 };
+// 429 and the statuses a provider answers with while it is overloaded or restarting
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+// A 429 asking for a longer wait than this is handed back to the caller rather than waited out
+const MAX_RETRY_AFTER_MS = 5000;
+
+// provider -> { state: 'closed' | 'open' | 'half_open', failures, openedAt, probing }
+const circuits = new Map();
+
+function upstreamTimeout(provider) {
+    return UPSTREAM_TIMEOUTS_MS[provider] ?? DEFAULT_UPSTREAM_TIMEOUTS_MS[provider] ?? UPSTREAM_TIMEOUT_MS;
+}
+
+function getCircuit(provider) {
+    let circuit = circuits.get(provider);
+    if (!circuit) {
+        circuit = { state: 'closed', failures: 0, openedAt: 0, probing: false };
+        circuits.set(provider, circuit);
+    }
+    return circuit;
+}
+
+// Throws a 503 while the provider's circuit is open. Once CIRCUIT_OPEN_MS has passed,
+// one request at a time is let through to find out whether the provider is back.
+function enterCircuit(provider) {
+    const circuit = getCircuit(provider);
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_OPEN_MS) {
+        circuit.state = 'half_open';
+    }
+    if (circuit.state === 'closed') return;
+    if (circuit.state === 'half_open' && !circuit.probing) {
+        circuit.probing = true;
+        return;
+    }
+    const retryAfter = Math.max(1, Math.ceil((circuit.openedAt + CIRCUIT_OPEN_MS - Date.now()) / 1000));
+    throw httpError(503, `${provider} is unavailable - too many recent failures`, { headers: { 'Retry-After': String(retryAfter) } });
+}
+
+function leaveCircuit(provider, failed) {
+    const circuit = getCircuit(provider);
+    circuit.probing = false;
+    if (!failed) {
+        if (circuit.state !== 'closed') console.log(`Upstream circuit for ${provider} closed`);
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        return;
+    }
+    circuit.failures += 1;
+    if (circuit.state === 'half_open' || (circuit.state === 'closed' && circuit.failures >= CIRCUIT_FAILURE_THRESHOLD)) {
+        if (circuit.state === 'closed') metrics.circuitOpened.inc({ provider });
+        console.error(`Upstream circuit for ${provider} open for ${CIRCUIT_OPEN_MS}ms after ${circuit.failures} failure(s)`);
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+    }
+}
+
+function circuitStates() {
+    return Object.fromEntries([...circuits].map(([provider, circuit]) => [provider, circuit.state]));
+}
+
+// Full jitter: anywhere up to base * 2^attempt, or what a 429's Retry-After asks for
+function retryDelay(attempt, response) {
+    const retryAfter = parseFloat(response?.headers.get('retry-after'));
+    if (retryAfter >= 0) return retryAfter * 1000;
+    return Math.random() * UPSTREAM_RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// One fetch with the provider's timeout: first for the response headers, then for each
+// wait on the next piece of the body, so a stream that goes quiet is cut off too.
+// `signal` (usually the client's request) can cancel it and the body at any time; its listener
+// is removed once the body is done with, so retries don't pile listeners up on a long request.
+async function fetchWithTimeout(url, options, signal, timeoutMs) {
+    const abort = new AbortController();
+    const onAbort = () => abort.abort(signal.reason);
+    const release = () => signal?.removeEventListener('abort', onAbort);
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        abort.abort();
+    }, timeoutMs);
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: abort.signal });
+    } catch (err) {
+        release();
+        if (timedOut) err.timedOut = true;
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+    if (!response.body) {
+        release();
+        return response;
+    }
+    
+    const reader = response.body.getReader();
+    const body = new ReadableStream({
+        async pull(controller) {
+            const idle = setTimeout(() => abort.abort(new Error(`No data for ${timeoutMs}ms`)), timeoutMs);
+            try {
+                const { done, value } = await reader.read();
+                if (done) {
+                    release();
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            } catch (err) {
+                release();
+                throw err;
+            } finally {
+                clearTimeout(idle);
+            }
+        },
+        cancel: (reason) => {
+            release();
+            return reader.cancel(reason);
+        },
+    });
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+// Connection failures that happen before any of the request is sent
+function requestNotSent(err) {
+    return ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'].includes(err.cause?.code);
+}
+
+// fetch() to a paid provider, timed and counted per route/provider. Adds on top of fetch:
+// - options.timeoutMs (default: the provider's timeout) until the response starts - a 504 when
+//   exceeded - and between pieces of the body
+// - retries with jittered backoff on network errors, 429 and 5xx for idempotent methods, or
+//   any request with options.retry (set for POSTs that are safe to repeat, e.g. translations).
+//   Those POSTs are only retried after a network error if the request never went out, since
+//   the provider may already have billed it.
+// - a per-provider circuit breaker (skipped with options.circuit = false) that counts one
+//   failure per call, after its retries
+// - options.signal cancels the request, any retry wait, and the response body
+async function upstreamFetch(route, provider, url, options) {
+    const { timeoutMs = upstreamTimeout(provider), retry, circuit = true, signal, ...fetchOptions } = options;
+    const idempotent = IDEMPOTENT_METHODS.has((fetchOptions.method || 'GET').toUpperCase());
+    const retries = (retry ?? idempotent) ? UPSTREAM_MAX_RETRIES : 0;
+    
+    if (circuit) enterCircuit(provider);
+    for (let attempt = 0; ; attempt++) {
+        const startedAt = Date.now();
+        let response;
+        try {
+            response = await fetchWithTimeout(url, fetchOptions, signal, timeoutMs);
+        } catch (err) {
+            metrics.upstreamLatency.observe({ route, provider, status: 'error' }, (Date.now() - startedAt) / 1000);
+            // The caller gave up - says nothing about the provider
+            if (signal?.aborted) {
+                if (circuit) getCircuit(provider).probing = false;
+                throw err;
+            }
+            metrics.upstreamErrors.inc({ route, provider, reason: err.timedOut ? 'timeout' : 'network' });
+            if (attempt < retries && !err.timedOut && (idempotent || requestNotSent(err))) {
+                metrics.upstreamRetries.inc({ provider, reason: 'network' });
+                await sleep(retryDelay(attempt), signal);
+                continue;
+            }
+            if (circuit) leaveCircuit(provider, true);
+            if (err.timedOut) throw httpError(504, `${provider} did not respond within ${timeoutMs}ms`);
+            throw httpError(502, `${provider} request failed: ${err.message}`);
+        }
+        
+        metrics.upstreamLatency.observe({ route, provider, status: String(response.status) }, (Date.now() - startedAt) / 1000);
+        if (!response.ok) {
+            metrics.upstreamErrors.inc({ route, provider, reason: `http_${response.status}` });
+        }
+        
+        const delay = retryDelay(attempt, response);
+        if (attempt < retries && RETRYABLE_STATUSES.has(response.status) && delay <= MAX_RETRY_AFTER_MS && !signal?.aborted) {
+            metrics.upstreamRetries.inc({ provider, reason: `http_${response.status}` });
+            await response.body?.cancel().catch(() => {});
+            await sleep(delay, signal);
+            continue;
+        }
+        // A 429 is the provider pacing us, not the provider failing
+        if (circuit) leaveCircuit(provider, response.status >= 500);
+        return response;
+    }
+}
+
+// ============================================================================
+// Health and readiness
+// ============================================================================
+
+// Each probe resolves when the dependency answers and throws otherwise.
+// API probes use cheap authenticated GETs so a revoked key shows up as a failure.
+const HEALTH_PROBES = {
+    supabase: {
+        configured: () => !!SUPABASE_URL && !!SUPABASE_ANON_KEY,
+        probe: (signal) => probeHttp(`${SUPABASE_URL}/auth/v1/health`, { apikey: SUPABASE_ANON_KEY }, signal),
+    },
+    soniox: {
+        configured: () => !!SONIOX_API_KEY,
+        probe: (signal) => probeWebSocket('wss://stt-rt.soniox.com/transcribe-websocket', signal),
+    },
+    openai: {
+        configured: () => !!OPENAI_API_KEY,
+        probe: (signal) => probeHttp('https://api.openai.com/v1/models', { Authorization: `Bearer ${OPENAI_API_KEY}` }, signal),
+    },
+    deepgram: {
+        configured: () => !!DEEPGRAM_API_KEY,
+        probe: (signal) => probeHttp('https://api.deepgram.com/v1/projects', { Authorization: `Token ${DEEPGRAM_API_KEY}` }, signal),
+    },
+    deepl: {
+        configured: () => !!DEEPL_AUTH_KEY,
+        probe: (signal) => probeHttp('https://api-free.deepl.com/v2/usage', { Authorization: `DeepL-Auth-Key ${DEEPL_AUTH_KEY}` }, signal),
+    },
+};
+
+async function probeHttp(url, headers, signal) {
+    const response = await fetch(url, { headers, signal });
+    // Drain the body so the socket is released
+    await response.arrayBuffer().catch(() => {});
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+// Open the upstream WebSocket and close it straight away - no config, so nothing is billed
+function probeWebSocket(url, signal) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        const onAbort = () => {
+            ws.terminate();
+            reject(new Error('Timed out'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        ws.on('open', () => {
+            signal.removeEventListener('abort', onAbort);
+            ws.close();
+            resolve();
+        });
+        ws.on('error', (err) => {
+            signal.removeEventListener('abort', onAbort);
+            reject(err);
+        });
+    });
+}
+
+async function runHealthProbe(name) {
+    const { configured, probe } = HEALTH_PROBES[name];
+    const critical = READINESS_CRITICAL.has(name);
+    if (!configured()) {
+        return { name, status: 'disabled', critical, latency_ms: null };
+    }
+    const startedAt = Date.now();
+    try {
+        await probe(AbortSignal.timeout(HEALTH_PROBE_TIMEOUT_MS));
+        return { name, status: 'ok', critical, latency_ms: Date.now() - startedAt };
+    } catch (err) {
+        return { name, status: 'error', critical, latency_ms: Date.now() - startedAt, error: err.message };
+    }
+}
+
+// Cached report plus the in-flight probe run, so concurrent checks share one round of probes
+let readinessCache = { report: null, checkedAt: 0, pending: null };
+
+async function getReadinessReport() {
+    if (readinessCache.report && Date.now() - readinessCache.checkedAt < HEALTH_CACHE_TTL_MS) {
+        return { ...readinessCache.report, upstream_circuits: circuitStates(), cached: true };
+    }
+    if (!readinessCache.pending) {
+        readinessCache.pending = Promise.all(Object.keys(HEALTH_PROBES).map(runHealthProbe))
+            .then(results => {
+                const dependencies = Object.fromEntries(results.map(({ name, ...result }) => [name, result]));
+                const failing = results.filter(result => result.critical && result.status !== 'ok').map(result => result.name);
+                const report = {
+                    status: failing.length === 0 ? 'ready' : 'not_ready',
+                    service: 'soniox-proxy',
+                    checked_at: new Date().toISOString(),
+                    failing,
+                    dependencies,
+                    features: enabledFeatures(),
+                };
+                readinessCache = { report, checkedAt: Date.now(), pending: null };
+                if (failing.length > 0) console.error(`Readiness: not ready - failing dependencies: ${failing.join(', ')}`);
+                return report;
+            })
+            .finally(() => { readinessCache.pending = null; });
+    }
+    const report = await readinessCache.pending;
+    // Breakers change by the request, so they are never served from the cache. An open one
+    // doesn't make the instance unready - the other routes still work.
+    return { ...report, upstream_circuits: circuitStates(), cached: false };
+}
+
+function enabledFeatures() {
+    return {
+        soniox_streaming: !!SONIOX_API_KEY,
+        soniox_reconnect: SONIOX_RECONNECT_MAX_ATTEMPTS > 0,
+        openai_tts: !!OPENAI_API_KEY,
+        openai_chat: !!OPENAI_API_KEY,
+        openai_transcriptions: !!OPENAI_API_KEY,
+        openai_realtime: !!OPENAI_API_KEY,
+        deepgram_tts: !!DEEPGRAM_API_KEY,
+        deepl_translate: !!DEEPL_AUTH_KEY,
+        translation_chain: TRANSLATION_CHAIN.filter(name => TRANSLATION_PROVIDERS[name]?.configured()),
+        live_translation_fanout: !!DEEPL_AUTH_KEY,
+        transcript_store: transcriptStore ? transcriptStore.name : null,
+        soniox_file_jobs: !!SONIOX_API_KEY,
+        tts_cache: ttsCache ? ttsCache.name : null,
+        rate_limit_store: rateLimitStore.name,
+        quotas: Object.keys(DAILY_QUOTAS).filter(kind => DAILY_QUOTAS[kind] > 0),
+        usage_sink: usageSink.name,
+        metrics_auth: !!METRICS_TOKEN,
+    };
+}
+
+// Pull a simple text field (e.g. model) out of a multipart/form-data body without a full parser
+function multipartField(bodyBuffer, fieldName) {
+    const head = bodyBuffer.subarray(0, 64 * 1024).toString('latin1');
+    const match = head.match(new RegExp(`name="${fieldName}"\r\n(?:[^\r\n]+\r\n)*\r\n([^\r\n]*)`));
+    return match ? match[1] : null;
+}
+
+function summarizeUsage(records) {
+    const byProvider = {};
+    const overall = { requests: 0, characters: 0, audio_seconds: 0, tokens: 0, bytes: 0, duration_ms: 0 };
+    for (const record of records) {
+        const totals = byProvider[record.provider] = byProvider[record.provider]
+            || { requests: 0, characters: 0, audio_seconds: 0, tokens: 0, bytes: 0, duration_ms: 0 };
+        for (const target of [totals, overall]) {
+            target.requests += 1;
+            target.characters += Number(record.characters) || 0;
+            target.audio_seconds += Number(record.audio_seconds) || 0;
+            target.tokens += Number(record.tokens) || 0;
+            target.bytes += Number(record.bytes) || 0;
+            target.duration_ms += Number(record.duration_ms) || 0;
+        }
+    }
+    return { overall, by_provider: byProvider };
+}
+
+// ============================================================================
+// DeepL translation
+// ============================================================================
+
+// DeepL language code mapping — DeepL requires specific codes
+const DEEPL_LANG_MAP = {
+    'en': 'EN-US', 'pt': 'PT-BR', 'zh': 'ZH-HANS',
+    'no': 'NB', // Norwegian Bokmål
+};
+// Languages DeepL Free doesn't support — skip silently
+const DEEPL_UNSUPPORTED = new Set(['hi', 'ar', 'th', 'vi', 'he', 'ms', 'tl', 'sw', 'ht']);
+// Most target languages one request (or live session) may translate into
+const MAX_TRANSLATION_TARGETS = 4;
+
+// DeepL accepts up to 50 texts per request
+const DEEPL_MAX_BATCH_TEXTS = 50;
+
+// Translation memory keyed by (source language, target language, text), least-recently-used
+// first. It holds DeepL's own output - glossary overrides are applied on the way out, so a
+// glossary edit changes cached translations too.
+function createTranslationCache(maxEntries, ttlMs) {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return null;
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+    };
+}
+
+const translationCache = DEEPL_CACHE_MAX_ENTRIES > 0
+    ? createTranslationCache(DEEPL_CACHE_MAX_ENTRIES, DEEPL_CACHE_TTL_SECONDS * 1000)
+    : null;
+
+function translationCacheKey(text, targetLang, sourceLanguage) {
+    return createHash('sha256').update(JSON.stringify([sourceLanguage || null, targetLang, text])).digest('hex');
+}
+
+// Characters DeepL would be asked to translate right now (cache hits are free)
+function uncachedCharacters(texts, targetLanguages, sourceLanguage) {
+    let characters = 0;
+    for (const targetLang of targetLanguages) {
+        if (DEEPL_UNSUPPORTED.has(targetLang)) continue;
+        for (const text of texts) {
+            if (!translationCache?.get(translationCacheKey(text, targetLang, sourceLanguage))) characters += text.length;
+        }
+    }
+    return characters;
+}
+
+// One DeepL request for several texts into one language. Resolves an array of
+// { text, detected_source } in input order, or { error } for the whole batch.
+// `signal` (the client's request) cancels it.
+async function requestDeepl(route, texts, targetLang, sourceLanguage, signal) {
+    try {
+        const deeplTarget = DEEPL_LANG_MAP[targetLang] || targetLang.toUpperCase();
+        
+        const deeplResponse = await upstreamFetch(route, 'deepl', 'https://api-free.deepl.com/v2/translate', {
+            method: 'POST',
+            // Translating the same text twice is harmless
+            retry: true,
+            signal,
+            headers: {
+                'Authorization': `DeepL-Auth-Key ${DEEPL_AUTH_KEY}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                text: texts,
+                target_lang: deeplTarget,
+                ...(sourceLanguage ? { source_lang: (DEEPL_LANG_MAP[sourceLanguage] || sourceLanguage.toUpperCase()).split('-')[0] } : {}),
+            }),
+        });
+        
+        if (!deeplResponse.ok) {
+            const errorText = await deeplResponse.text();
+            console.error(`DeepL error for ${targetLang}:`, deeplResponse.status, errorText);
+            return { error: `DeepL error: ${deeplResponse.status}` };
+        }
+        
+        const data = await deeplResponse.json();
+        return texts.map((text, i) => ({
+            text: data.translations?.[i]?.text || '',
+            detected_source: data.translations?.[i]?.detected_source_language?.toLowerCase(),
+        }));
+    } catch (langErr) {
+        console.error(`DeepL error for ${targetLang}:`, langErr.message);
+        return { error: langErr.message };
+    }
+}
+
+// Translate several texts into one language: cache hits are answered locally (and marked
+// `cached: true`), the rest go to DeepL in one request. Resolves one { text, detected_source }
+// or { error } per text - never rejects, so one failing language doesn't take the others down.
+async function translateBatchWithDeepl(route, texts, targetLang, sourceLanguage, signal) {
+    if (DEEPL_UNSUPPORTED.has(targetLang)) {
+        return texts.map(() => ({ error: 'Language not supported by DeepL' }));
+    }
+    const keys = texts.map(text => translationCacheKey(text, targetLang, sourceLanguage));
+    const results = keys.map(key => {
+        const hit = translationCache?.get(key);
+        return hit ? { ...hit, cached: true } : null;
+    });
+    
+    const missing = [];
+    results.forEach((result, i) => { if (!result) missing.push(i); });
+    for (let start = 0; start < missing.length; start += DEEPL_MAX_BATCH_TEXTS) {
+        const batch = missing.slice(start, start + DEEPL_MAX_BATCH_TEXTS);
+        const translated = await requestDeepl(route, batch.map(i => texts[i]), targetLang, sourceLanguage, signal);
+        batch.forEach((index, j) => {
+            if (translated.error) {
+                results[index] = { error: translated.error };
+                return;
+            }
+            results[index] = translated[j];
+            translationCache?.set(keys[index], translated[j]);
+        });
+    }
+    return results.map(result => result.error ? result : applyGlossary(result, targetLang, sourceLanguage));
+}
+
+// Translate `text` into one language. Resolves { text, detected_source, cached? } or { error }.
+async function translateWithDeepl(route, text, targetLang, sourceLanguage) {
+    const [result] = await translateBatchWithDeepl(route, [text], targetLang, sourceLanguage);
+    return result;
+}
+
+// ----------------------------------------------------------------------------
+// Glossary - admin term overrides applied on top of DeepL output.
+// Keyed 'source:target' ('*:es' applies to every source language); each entry maps a term
+// as DeepL writes it to the preferred term. Matching is case-sensitive and whole-word.
+// ----------------------------------------------------------------------------
+
+const MAX_GLOSSARY_TERMS = 1000;
+// 'source:target' -> { terms, updated_at, rules }
+const glossaries = new Map();
+
+function compileGlossary(terms) {
+    return Object.entries(terms)
+        .sort(([a], [b]) => b.length - a.length)
+        .map(([term, replacement]) => ({
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_])`, 'gu'),
+            replacement,
+        }));
+}
+
+function applyGlossary(result, targetLang, sourceLanguage) {
+    const source = (sourceLanguage || result.detected_source || '').toLowerCase();
+    const target = targetLang.toLowerCase();
+    let text = result.text;
+    for (const pair of [`${source}:${target}`, `*:${target}`]) {
+        for (const rule of glossaries.get(pair)?.rules || []) {
+            text = text.replace(rule.pattern, () => rule.replacement);
+        }
+    }
+    return text === result.text ? result : { ...result, text };
+}
+
+async function loadGlossaries() {
+    if (!existsSync(GLOSSARY_PATH)) return;
+    try {
+        const stored = JSON.parse(await readFile(GLOSSARY_PATH, 'utf8'));
+        for (const [pair, glossary] of Object.entries(stored)) {
+            glossaries.set(pair, { ...glossary, rules: compileGlossary(glossary.terms) });
+        }
+        console.log(`Loaded ${glossaries.size} glossar${glossaries.size === 1 ? 'y' : 'ies'} from ${GLOSSARY_PATH}`);
+    } catch (err) {
+        console.error(`Glossary load error (${GLOSSARY_PATH}):`, err.message);
+    }
+}
+
+function glossaryView() {
+    return Object.fromEntries([...glossaries].map(([pair, { terms, updated_at }]) => [pair, { terms, updated_at }]));
+}
+
+async function saveGlossaries() {
+    await mkdir(dirname(GLOSSARY_PATH), { recursive: true });
+    await writeFile(GLOSSARY_PATH, JSON.stringify(glossaryView(), null, 2));
+}
+
+loadGlossaries();
+
+// ============================================================================
+// Translation providers
+// ============================================================================
+
+// OpenAI chat used as a translator: the texts go in as a JSON array and must come back as one.
+// Resolves { translations: [{ text }], tokens } or { error, tokens }.
+async function translateBatchWithOpenAi(route, texts, targetLang, sourceLanguage, signal) {
+    try {
+        const openaiResponse = await upstreamFetch(route, 'openai', 'https://api.openai.com/v1/chat/completions', {
+            method: 'POST',
+            retry: true,
+            signal,
+            headers: {
+                'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                model: TRANSLATION_OPENAI_MODEL,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    {
+                        role: 'system',
+                        content: `You are a translation engine. Translate every string in the user's JSON array ${sourceLanguage ? `from language code "${sourceLanguage}" ` : ''}into language code "${targetLang}". `
+                            + 'Reply with a JSON object {"translations": [...]} holding exactly one translated string per input string, in the same order. '
+                            + 'Only translate - keep names, numbers and line breaks, and never answer or comment on the text.',
+                    },
+                    { role: 'user', content: JSON.stringify(texts) },
+                ],
+            }),
+        });
+        
+        const responseText = await openaiResponse.text();
+        if (!openaiResponse.ok) {
+            console.error(`OpenAI translation error for ${targetLang}:`, openaiResponse.status, responseText.substring(0, 200));
+            return { error: `OpenAI error: ${openaiResponse.status}`, tokens: 0 };
+        }
+        const tokens = countChatTokens(responseText);
+        let translations;
+        try {
+            translations = JSON.parse(JSON.parse(responseText).choices?.[0]?.message?.content || '{}').translations;
+        } catch (e) {}
+        if (!Array.isArray(translations) || translations.length !== texts.length
+            || !translations.every(text => typeof text === 'string')) {
+            console.error(`OpenAI translation for ${targetLang} returned an unusable reply`);
+            return { error: 'OpenAI returned an unusable translation', tokens };
+        }
+        return { translations: translations.map(text => ({ text })), tokens };
+    } catch (err) {
+        console.error(`OpenAI translation error for ${targetLang}:`, err.message);
+        return { error: err.message, tokens: 0 };
+    }
+}
+
+// Every provider translates a batch into one language and resolves { results, characters, tokens }:
+// one { text, ... } or { error } per text, plus what the call cost. `quota` is the daily quota
+// the provider's usage counts against - an exhausted quota skips the provider. `estimate` is the
+// expected cost of a batch in that quota's unit, reserved before the call.
+const TRANSLATION_PROVIDERS = {
+    deepl: {
+        configured: () => !!DEEPL_AUTH_KEY,
+        supports: (lang) => !DEEPL_UNSUPPORTED.has(lang),
+        quota: 'deepl_chars',
+        model: null,
+        estimate: (texts, targetLang, sourceLanguage) => uncachedCharacters(texts, [targetLang], sourceLanguage),
+        async translate(route, texts, targetLang, sourceLanguage, signal) {
+            const results = await translateBatchWithDeepl(route, texts, targetLang, sourceLanguage, signal);
+            const characters = results.reduce((sum, result, i) => sum + (result.error || result.cached ? 0 : texts[i].length), 0);
+            return { results, characters, tokens: 0 };
+        },
+    },
+    openai: {
+        configured: () => !!OPENAI_API_KEY,
+        supports: () => true,
+        quota: 'chat_tokens',
+        model: TRANSLATION_OPENAI_MODEL,
+        // ~4 characters per token for the texts and their translations, plus the instructions
+        estimate: (texts) => Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4) * 2 + 100,
+        async translate(route, texts, targetLang, sourceLanguage, signal) {
+            const translated = await translateBatchWithOpenAi(route, texts, targetLang, sourceLanguage, signal);
+            const results = translated.error
+                ? texts.map(() => ({ error: translated.error }))
+                : translated.translations.map(result => applyGlossary(result, targetLang, sourceLanguage));
+            return { results, characters: 0, tokens: translated.tokens };
+        },
+    },
+};
+
+for (const name of TRANSLATION_CHAIN) {
+    if (!TRANSLATION_PROVIDERS[name]) console.error(`WARNING: unknown provider '${name}' in TRANSLATION_CHAIN - skipped`);
+}
+
+// Translate texts into one language down TRANSLATION_CHAIN: each provider gets the texts the
+// previous ones couldn't translate (unsupported language, error or exhausted quota). Each call
+// reserves the provider's estimate against its quota first and settles the difference after.
+// Results carry the `provider` that produced them; a text no provider could translate gets
+// { error, attempts: [{ provider, error }] }. `spent` is each used provider's { characters, tokens, translated }.
+async function translateWithChain(route, userId, texts, targetLang, sourceLanguage, signal) {
+    const results = texts.map(() => null);
+    const attempts = texts.map(() => []);
+    const spent = {};
+    
+    for (const name of TRANSLATION_CHAIN) {
+        const provider = TRANSLATION_PROVIDERS[name];
+        const pending = [];
+        results.forEach((result, i) => { if (!result) pending.push(i); });
+        if (pending.length === 0) break;
+        if (!provider?.configured()) continue;
+        
+        const batch = pending.map(i => texts[i]);
+        let skipped = provider.supports(targetLang) ? null : 'Language not supported';
+        const reserved = skipped ? 0 : provider.estimate(batch, targetLang, sourceLanguage);
+        if (!skipped) {
+            const quotaExceeded = await consumeDailyQuota(userId, provider.quota, reserved);
+            skipped = quotaExceeded?.message;
+        }
+        if (skipped) {
+            pending.forEach(i => attempts[i].push({ provider: name, error: skipped }));
+            continue;
+        }
+        
+        const { results: translated, characters, tokens } = await provider.translate(route, batch, targetLang, sourceLanguage, signal);
+        // Settle the reservation against what the call really cost
+        await recordDailyUsage(userId, provider.quota, (provider.quota === 'chat_tokens' ? tokens : characters) - reserved);
+        spent[name] = {
+            characters: (spent[name]?.characters || 0) + characters,
+            tokens: (spent[name]?.tokens || 0) + tokens,
+            translated: (spent[name]?.translated || 0) + translated.filter(result => !result.error).length,
+        };
+        pending.forEach((index, j) => {
+            if (translated[j].error) {
+                attempts[index].push({ provider: name, error: translated[j].error });
+            } else {
+                results[index] = { ...translated[j], provider: name };
+            }
+        });
+    }
+    
+    return {
+        results: results.map((result, i) => result || {
+            error: attempts[i].length > 0 ? 'No translation provider could translate this text' : 'No translation provider configured',
+            attempts: attempts[i],
+        }),
+        spent,
+    };
+}
+
+// ============================================================================
+// Text-to-speech providers
+// ============================================================================
+
+// Upstream speech synthesis, shared by the HTTP TTS routes and live TTS on the WebSocket.
+// request() resolves the raw upstream Response so callers can stream or buffer it; failed
+// requests are retried, since nothing is synthesized (or billed) for an error response.
+// maxChars is the provider's input limit per request - longer text is split (see splitTtsText).
+const TTS_PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        configured: () => !!OPENAI_API_KEY,
+        defaults: { model: 'tts-1', voice: 'nova', format: 'mp3' },
+        maxChars: 4096,
+        contentTypes: {
+            'mp3': 'audio/mpeg',
+            'opus': 'audio/ogg',
+            'aac': 'audio/aac',
+            'flac': 'audio/flac',
+            'wav': 'audio/wav',
+            'pcm': 'audio/pcm',
+        },
+        request: (route, { model, voice, format, speed = 1.0, text, signal }) => upstreamFetch(route, 'openai', 'https://api.openai.com/v1/audio/speech', {
+            method: 'POST',
+            retry: true,
+            signal,
+            headers: {
+                'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                model: model,
+                input: text,
+                voice: voice,
+                speed: speed,
+                response_format: format,
+            }),
+        }),
+    },
+    // Deepgram Aura models are voices (aura-<voice>-<lang>), so there is no separate voice
+    deepgram: {
+        label: 'Deepgram',
+        configured: () => !!DEEPGRAM_API_KEY,
+        defaults: { model: 'aura-asteria-en', voice: null, format: 'mp3' },
+        maxChars: 2000,
+        contentTypes: {
+            'mp3': 'audio/mpeg',
+            'wav': 'audio/wav',
+            'opus': 'audio/opus',
+            'flac': 'audio/flac',
+        },
+        // API: https://api.deepgram.com/v1/speak?model={model}&encoding={encoding}
+        request: (route, { model, format, text, signal }) => upstreamFetch(route, 'deepgram', `https://api.deepgram.com/v1/speak?model=${encodeURIComponent(model)}&encoding=${format}`, {
+            method: 'POST',
+            retry: true,
+            signal,
+            headers: {
+                'Authorization': `Token ${DEEPGRAM_API_KEY}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ text }),
+        }),
+    },
+};
+
+// Provider-neutral voices for /api/tts. Each maps, per provider, a language to that provider's
+// voice; '*' stands for any language (OpenAI voices speak whatever language the text is in).
+const DEFAULT_TTS_VOICES = {
+    warm_female: {
+        label: 'Warm female',
+        providers: { openai: { '*': 'nova' }, deepgram: { en: 'aura-asteria-en', es: 'aura-2-celeste-es' } },
+    },
+    bright_female: {
+        label: 'Bright female',
+        providers: { openai: { '*': 'shimmer' }, deepgram: { en: 'aura-luna-en', es: 'aura-2-estrella-es' } },
+    },
+    deep_male: {
+        label: 'Deep male',
+        providers: { openai: { '*': 'onyx' }, deepgram: { en: 'aura-orion-en', es: 'aura-2-nestor-es' } },
+    },
+    calm_male: {
+        label: 'Calm male',
+        providers: { openai: { '*': 'echo' }, deepgram: { en: 'aura-arcas-en', es: 'aura-2-javier-es' } },
+    },
+    neutral: {
+        label: 'Neutral',
+        providers: { openai: { '*': 'alloy' }, deepgram: { en: 'aura-athena-en' } },
+    },
+};
+
+const TTS_VOICE_CATALOG = TTS_VOICES || DEFAULT_TTS_VOICES;
+
+// The provider's voice for a catalog voice in a language ('pt-BR' falls back to 'pt', then '*')
+function catalogVoice(voiceId, providerName, language) {
+    const languages = TTS_VOICE_CATALOG[voiceId]?.providers?.[providerName];
+    if (!languages) return null;
+    const lang = language.toLowerCase();
+    return languages[lang] || languages[lang.split('-')[0]] || languages['*'] || null;
+}
+
+// Provider request settings for a provider voice - Deepgram models are voices
+function ttsSettings(providerName, providerVoice, format, speed) {
+    const provider = TTS_PROVIDERS[providerName];
+    return provider.defaults.voice === null
+        ? { model: providerVoice, format }
+        : { model: provider.defaults.model, voice: providerVoice, format, speed };
+}
+
+function ttsContentType(providerName, format) {
+    return TTS_PROVIDERS[providerName].contentTypes[format] || 'audio/mpeg';
+}
+
+// Formats whose streams can simply be appended to each other (MP3/AAC frames, raw PCM, chained Ogg).
+// WAV and FLAC carry a header with the stream length, so they are limited to one request.
+const TTS_JOINABLE_FORMATS = new Set(['mp3', 'aac', 'opus', 'pcm']);
+
+// Split text into pieces of at most maxChars - at sentence ends where possible,
+// then at clause punctuation, then between words, and only as a last resort mid-word
+const TTS_SPLIT_LEVELS = [/(?<=[.!?。！？]["'”’)\]]*)\s+/, /(?<=[,;:，、；])\s*/, /\s+/];
+
+function splitTtsText(text, maxChars, level = 0) {
+    const parts = text.trim().split(TTS_SPLIT_LEVELS[level]).filter(Boolean).flatMap(part => {
+        if (part.length <= maxChars) return [part];
+        if (level + 1 < TTS_SPLIT_LEVELS.length) return splitTtsText(part, maxChars, level + 1);
+        return part.match(new RegExp(`[^]{1,${maxChars}}`, 'g'));
+    });
+    
+    const pieces = [];
+    let current = '';
+    for (const part of parts) {
+        const joined = current ? `${current} ${part}` : part;
+        if (joined.length > maxChars) {
+            pieces.push(current);
+            current = part;
+        } else {
+            current = joined;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+// Content-addressed audio cache: key = sha256 of provider, model, voice, speed, format and
+// normalized text. Memory entries are evicted least-recently-used past maxBytes; disk entries
+// are files named by key, expired by mtime and trimmed oldest-first by sweep().
+function createTtsCache({ maxBytes, maxEntryBytes, ttlMs, dir, diskMaxBytes }) {
+    const entries = new Map();
+    let memoryBytes = 0;
+    let dirReady = null;
+    
+    const forget = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        memoryBytes -= entry.audio.length;
+    };
+    const remember = (key, audio, expiresAt) => {
+        if (audio.length > maxBytes) return;
+        forget(key);
+        entries.set(key, { audio, expiresAt });
+        memoryBytes += audio.length;
+        for (const oldest of entries.keys()) {
+            if (memoryBytes <= maxBytes) break;
+            forget(oldest);
+        }
+    };
+    
+    return {
+        name: dir ? 'memory+disk' : 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                // Re-insert so Map order stays least-recently-used first
+                entries.delete(key);
+                entries.set(key, entry);
+                return entry.audio;
+            }
+            forget(key);
+            if (!dir) return null;
+            try {
+                const path = join(dir, key);
+                const info = await stat(path);
+                if (info.mtimeMs + ttlMs <= Date.now()) {
+                    unlink(path).catch(() => {});
+                    return null;
+                }
+                const audio = await readFile(path);
+                remember(key, audio, info.mtimeMs + ttlMs);
+                return audio;
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error('TTS cache read error:', err.message);
+                return null;
+            }
+        },
+        async set(key, audio) {
+            if (audio.length > maxEntryBytes) return;
+            remember(key, audio, Date.now() + ttlMs);
+            if (!dir) return;
+            try {
+                dirReady = dirReady || mkdir(dir, { recursive: true });
+                await dirReady;
+                // Write then rename so a concurrent get() never reads a partial file
+                const tmpPath = join(dir, `${key}.${randomUUID()}.tmp`);
+                await writeFile(tmpPath, audio);
+                await rename(tmpPath, join(dir, key));
+            } catch (err) {
+                console.error('TTS cache write error:', err.message);
+            }
+        },
+        async sweep() {
+            if (!dir || !existsSync(dir)) return;
+            const files = [];
+            for (const name of await readdir(dir)) {
+                const path = join(dir, name);
+                try {
+                    const info = await stat(path);
+                    if (info.mtimeMs + ttlMs <= Date.now()) await unlink(path);
+                    else files.push({ path, size: info.size, mtimeMs: info.mtimeMs });
+                } catch (e) {}
+            }
+            let total = files.reduce((sum, file) => sum + file.size, 0);
+            for (const file of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+                if (total <= diskMaxBytes) break;
+                await unlink(file.path).catch(() => {});
+                total -= file.size;
+            }
+        },
+    };
+}
+
+const ttsCache = TTS_CACHE_MAX_BYTES > 0 || TTS_CACHE_DIR
+    ? createTtsCache({
+        maxBytes: TTS_CACHE_MAX_BYTES,
+        maxEntryBytes: TTS_CACHE_MAX_ENTRY_BYTES,
+        ttlMs: TTS_CACHE_TTL_SECONDS * 1000,
+        dir: TTS_CACHE_DIR,
+        diskMaxBytes: TTS_CACHE_DISK_MAX_BYTES,
+    })
+    : null;
+if (TTS_CACHE_DIR) {
+    setInterval(() => ttsCache.sweep().catch(err => console.error('TTS cache sweep error:', err.message)), 10 * 60 * 1000).unref();
+}
+
+// Same phrase, same audio: whitespace and Unicode form don't change the speech
+function ttsCacheKey(providerName, settings, text) {
+    if (!ttsCache) return null;
+    const normalized = text.normalize('NFC').trim().replace(/\s+/g, ' ');
+    return createHash('sha256')
+        .update(JSON.stringify([providerName, settings.model, settings.voice ?? null, settings.speed ?? null, settings.format, normalized]))
+        .digest('hex');
+}
+
+// Answer from the cache when possible: 304 when If-None-Match already names this audio
+// (nothing is synthesized), 200 with the cached bytes on a hit. Returns false on a miss.
+// Only a stored entry is ever revalidated - audio that was cut off was never cached, so a
+// client holding it gets a fresh synthesis rather than a 304.
+async function sendCachedTts({ req, res, userId, usageRoute, providerName, settings, cacheKey }) {
+    if (!cacheKey) return false;
+    const startedAt = Date.now();
+    const etag = `"${cacheKey}"`;
+    const usage = { userId, route: usageRoute, provider: providerName, model: settings.model, status: 'cache_hit' };
+    
+    const audio = await ttsCache.get(cacheKey);
+    if (!audio) {
+        metrics.ttsCache.inc({ result: 'miss' });
+        return false;
+    }
+    
+    const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (ifNoneMatch.includes(etag)) {
+        metrics.ttsCache.inc({ result: 'not_modified' });
+        res.writeHead(304, { 'ETag': etag, 'X-Cache': 'HIT' });
+        res.end();
+        recordUsage({ ...usage, durationMs: Date.now() - startedAt });
+        return true;
+    }
+    metrics.ttsCache.inc({ result: 'hit' });
+    res.writeHead(200, {
+        'Content-Type': ttsContentType(providerName, settings.format),
+        'Content-Length': audio.length,
+        'ETag': etag,
+        'X-Cache': 'HIT',
+    });
+    res.end(audio);
+    recordUsage({ ...usage, bytes: audio.length, durationMs: Date.now() - startedAt });
+    return true;
+}
+
+// Resolve once `res` can take more data (or the client went away)
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Synthesize text into one continuous audio response. Each piece is a sequential upstream
+// request whose bytes are piped to the client as they arrive; the next request is started
+// while the current one streams so pieces follow each other without a gap.
+// A failure on the first piece throws (nothing has been sent); a later one ends the response early.
+// With a cacheKey, the complete audio of a successful response is stored in ttsCache.
+// With timeoutMs, a first piece that hasn't started answering by then is abandoned with a 504.
+// Resolves to the number of characters that were not spoken (0 when the whole text was).
+async function streamTts(res, { route, usageRoute, userId, providerName, settings, text, cacheKey = null, timeoutMs = 0 }) {
+    const provider = TTS_PROVIDERS[providerName];
+    const pieces = splitTtsText(text, provider.maxChars);
+    if (pieces.length > 1 && !TTS_JOINABLE_FORMATS.has(settings.format)) {
+        throw httpError(400, `Text over ${provider.maxChars} characters needs one of: ${[...TTS_JOINABLE_FORMATS].filter(f => provider.contentTypes[f]).join(', ')}`);
+    }
+    
+    const startedAt = Date.now();
+    const abort = new AbortController();
+    const onClose = () => abort.abort();
+    res.on('close', onClose);
+    const usage = { userId, route: usageRoute, provider: providerName, model: settings.model };
+    const request = (piece) => provider.request(route, { ...settings, text: piece, signal: abort.signal });
+    
+    let timedOut = false;
+    const firstResponseTimer = timeoutMs > 0 ? setTimeout(() => {
+        timedOut = true;
+        abort.abort();
+    }, timeoutMs) : null;
+    let next = request(pieces[0]);
+    // Kept for the cache until the response outgrows a cache entry
+    let cacheChunks = cacheKey ? [] : null;
+    let streamedBytes = 0;
+    let spokenChars = 0;
+    let status = 'ok';
+    try {
+        for (let i = 0; i < pieces.length; i++) {
+            let response;
+            try {
+                response = await next;
+            } catch (err) {
+                status = timedOut ? 'timeout' : abort.signal.aborted ? 'client_closed' : 'upstream_error';
+                if (timedOut) throw httpError(504, `${provider.label} TTS did not respond within ${timeoutMs}ms`);
+                if (i === 0) throw err;
+                console.error(`${provider.label} TTS piece ${i + 1}/${pieces.length} failed:`, err.message);
+                break;
+            }
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`${provider.label} TTS error:`, response.status, errorText);
+                status = 'upstream_error';
+                if (i === 0) throw httpError(response.status, `${provider.label} TTS failed: ${errorText}`);
+                break;
+            }
+            if (i === 0) {
+                clearTimeout(firstResponseTimer);
+                res.writeHead(200, {
+                    'Content-Type': ttsContentType(providerName, settings.format),
+                    // No ETag yet - the audio is only cacheable once it has streamed in full
+                    ...(cacheKey ? { 'X-Cache': 'MISS' } : {}),
+                });
+            }
+            next = i + 1 < pieces.length ? request(pieces[i + 1]) : null;
+            // An unused prefetch must not surface as an unhandled rejection
+            next?.catch(() => {});
+            
+            try {
+                for await (const chunk of response.body) {
+                    const buffer = Buffer.from(chunk);
+                    streamedBytes += buffer.length;
+                    if (cacheChunks) {
+                        cacheChunks.push(buffer);
+                        if (streamedBytes > TTS_CACHE_MAX_ENTRY_BYTES) cacheChunks = null;
+                    }
+                    if (!res.write(buffer)) await waitForDrain(res);
+                    if (res.destroyed) break;
+                }
+            } catch (streamErr) {
+                console.error(`${provider.label} TTS stream error:`, streamErr.message);
+                status = abort.signal.aborted ? 'client_closed' : 'upstream_error';
+                break;
+            }
+            spokenChars += pieces[i].length;
+            if (res.destroyed) {
+                status = 'client_closed';
+                break;
+            }
+        }
+    } finally {
+        clearTimeout(firstResponseTimer);
+        res.off('close', onClose);
+        abort.abort();
+        if (res.headersSent) res.end();
+        recordUsage({ ...usage, characters: status === 'ok' ? text.length : spokenChars, bytes: streamedBytes, durationMs: Date.now() - startedAt, status });
+    }
+    if (status === 'ok' && cacheChunks) {
+        ttsCache.set(cacheKey, Buffer.concat(cacheChunks, streamedBytes));
+    }
+    console.log(`${provider.label} TTS streamed for user: ${userId}, ${pieces.length} piece(s), ${streamedBytes} bytes${status === 'ok' ? '' : ` (${status})`}`);
+    return status === 'ok' ? 0 : text.length - spokenChars;
+}
+
+// ============================================================================
+// HTTP routing
+// ============================================================================
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+// '/api/jobs/:id' -> regex with named groups; the query string is never part of the match
+function compilePath(path) {
+    const pattern = path.split('/').map(segment => segment.startsWith(':')
+        ? `(?<${segment.substring(1)}>[^/]+)`
+        : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('/');
+    return new RegExp(`^${pattern}/?$`);
+}
+
+// Express-style (ctx, next) middleware chains per route, plus global middleware for every request
+function createRouter() {
+    const routes = [];
+    const globalMiddleware = [];
+    
+    // A plain object ahead of the middleware holds per-route options, e.g. { cors: { headers, maxAge } }
+    function add(method, path, stack) {
+        const options = typeof stack[0] === 'function' ? {} : stack.shift();
+        routes.push({ method, path, regex: compilePath(path), options, stack });
+    }
+    
+    function match(pathname) {
+        const matches = [];
+        for (const route of routes) {
+            const found = route.regex.exec(pathname);
+            if (found) matches.push({ route, params: { ...found.groups } });
+        }
+        return matches;
+    }
+    
+    async function runChain(stack, ctx) {
+        let index = -1;
+        const dispatch = async (i) => {
+            if (i <= index) throw new Error('next() called more than once');
+            index = i;
+            if (i < stack.length) await stack[i](ctx, () => dispatch(i + 1));
+        };
+        await dispatch(0);
+    }
+    
+    async function handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        // Aborted when the client goes away before its response is complete - handlers hand
+        // ctx.signal to upstream calls so abandoned work stops there too
+        const abort = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) abort.abort();
+        });
+        const ctx = { req, res, url, query: url.searchParams, params: {}, route: null, signal: abort.signal };
+        
+        try {
+            const matches = match(url.pathname);
+            // HEAD is served by the GET handler (Node drops the body)
+            const method = req.method === 'HEAD' ? 'GET' : req.method;
+            const found = matches.find(({ route }) => route.method === method);
+            if (found) {
+                ctx.route = found.route;
+                ctx.params = found.params;
+            }
+            ctx.allowedMethods = [...new Set(matches.map(({ route }) => route.method))];
+            ctx.matchedRoutes = matches.map(({ route }) => route);
+            
+            await runChain([...globalMiddleware, async (ctx) => {
+                if (ctx.route) {
+                    await runChain(ctx.route.stack, ctx);
+                } else if (ctx.allowedMethods.length > 0) {
+                    throw httpError(405, 'Method Not Allowed', { headers: { 'Allow': ctx.allowedMethods.join(', ') } });
+                } else {
+                    throw httpError(404, 'Not Found');
+                }
+            }], ctx);
+        } catch (err) {
+            // A client that went away cancels its upstream calls - not a server error
+            if (!err.status && !ctx.signal.aborted) {
+                console.error(`${req.method} ${url.pathname} error:`, err.message);
+            }
+            if (res.headersSent) {
+                // Failed mid-stream - nothing useful left to send
+                res.end();
+                return;
+            }
+            sendJson(res, err.status || 500, { error: err.status ? err.message : 'Internal server error', ...err.details }, err.headers);
+        }
+    }
+    
+    return {
+        use: (middleware) => globalMiddleware.push(middleware),
+        get: (path, ...stack) => add('GET', path, stack),
+        post: (path, ...stack) => add('POST', path, stack),
+        put: (path, ...stack) => add('PUT', path, stack),
+        delete: (path, ...stack) => add('DELETE', path, stack),
+        handle,
+    };
+}
+
+// ----------------------------------------------------------------------------
+// Middleware
+// ----------------------------------------------------------------------------
+
+const CORS_DEFAULT_HEADERS = ['Content-Type', 'Authorization'];
+const CORS_EXPOSED_HEADERS = ['Retry-After', 'ETag', 'X-Cache', 'X-TTS-Provider'];
+
+// Requests without an Origin header (native apps, curl, health checks) are not CORS requests
+function isOriginAllowed(origin) {
+    if (!origin) return true;
+    const normalized = origin.toLowerCase();
+    return CORS_ALLOWED_ORIGINS.some(pattern => {
+        if (pattern === '*') return true;
+        if (pattern === normalized) return true;
+        // 'https://*.example.com' - any subdomain depth, but not the bare domain
+        const wildcard = pattern.indexOf('://*.');
+        if (wildcard === -1) return false;
+        const scheme = pattern.substring(0, wildcard + 3);
+        const suffix = pattern.substring(wildcard + 4);
+        return normalized.startsWith(scheme) && normalized.endsWith(suffix) && normalized.length > scheme.length + suffix.length;
+    });
+}
+
+// Enforce the origin allow-list and answer preflight requests. Allowed methods come from
+// the routes registered for the path; headers and max age from each route's `cors` option.
+function cors() {
+    return async (ctx, next) => {
+        const { req, res } = ctx;
+        const origin = req.headers.origin;
+        
+        if (origin) {
+            if (!isOriginAllowed(origin)) {
+                console.log(`CORS: rejected ${req.method} ${ctx.url.pathname} from origin ${origin}`);
+                throw httpError(403, 'Forbidden: origin not allowed');
+            }
+            res.setHeader('Access-Control-Allow-Origin', CORS_ALLOWED_ORIGINS.includes('*') ? '*' : origin);
+            res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+            res.setHeader('Vary', 'Origin');
+        }
+        
+        if (req.method !== 'OPTIONS') {
+            await next();
+            return;
+        }
+        
+        if (ctx.matchedRoutes.length === 0) throw httpError(404, 'Not Found');
+        const routeOptions = ctx.matchedRoutes.map(route => route.options.cors || {});
+        const headers = new Set(CORS_DEFAULT_HEADERS);
+        routeOptions.forEach(options => (options.headers || []).forEach(header => headers.add(header)));
+        const maxAge = Math.min(...routeOptions.map(options => options.maxAge ?? CORS_MAX_AGE_SECONDS));
+        const methods = [...ctx.allowedMethods];
+        if (methods.includes('GET')) methods.push('HEAD');
+        methods.push('OPTIONS');
+        
+        res.writeHead(204, {
+            'Allow': methods.join(', '),
+            'Access-Control-Allow-Methods': methods.join(', '),
+            'Access-Control-Allow-Headers': [...headers].join(', '),
+            'Access-Control-Max-Age': String(maxAge),
+        });
+        res.end();
+    };
+}
+
+// 503 for providers whose API key isn't configured
+function requireConfigured(isConfigured, message) {
+    return async (ctx, next) => {
+        if (!isConfigured()) throw httpError(503, message);
+        await next();
+    };
+}
+
+// Verify the Bearer token - sets ctx.user, ctx.claims and ctx.plan
+function authenticate() {
+    return async (ctx, next) => {
+        const authHeader = ctx.req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            metrics.authFailures.inc({ route: ctx.route.path, reason: 'missing_token' });
+            throw httpError(401, 'Unauthorized: No token provided');
+        }
+        
+        const { user, claims, error } = await verifyToken(authHeader.substring(7));
+        if (error || !user) {
+            console.log(`${ctx.route.path}: Auth failed:`, error?.message || 'Invalid token');
+            metrics.authFailures.inc({ route: ctx.route.path, reason: 'invalid_token' });
+            throw httpError(401, 'Unauthorized: Invalid token');
+        }
+        
+        ctx.user = user;
+        ctx.claims = claims;
+        ctx.plan = resolvePlan(user, claims);
+        await next();
+    };
+}
+
+// 403 unless the user's plan includes this route
+function entitled(routeName) {
+    return async (ctx, next) => {
+        assertEntitled(ctx.plan, [['routes', routeName]]);
+        await next();
+    };
+}
+
+// 403 unless the user's plan is one of ADMIN_PLANS
+function requireAdmin() {
+    return async (ctx, next) => {
+        if (!ADMIN_PLANS.has(ctx.plan.name)) {
+            throw httpError(403, 'Forbidden: admin only', { details: { plan: ctx.plan.name } });
+        }
+        await next();
+    };
+}
+
+// 429 once the user's token bucket for this route is empty
+function rateLimit(routeName) {
+    return async (ctx, next) => {
+        const limited = await takeRateLimitToken(ctx.user.id, routeName);
+        if (limited) throw rateLimitError(limited);
+        await next();
+    };
+}
+
+// Parse the JSON body into ctx.body
+function jsonBody({ limit = MAX_JSON_BODY_BYTES } = {}) {
+    return async (ctx, next) => {
+        ctx.body = await readJsonBody(ctx.req, { limit });
+        await next();
+    };
+}
+
+// Read the raw body into ctx.body (a Buffer)
+function rawBody(options) {
+    return async (ctx, next) => {
+        ctx.body = await readBody(ctx.req, options);
+        await next();
+    };
+}
+
+// The standard stack for a route that spends money with an upstream provider
+function paidRoute(routeName) {
+    return [authenticate(), entitled(routeName), rateLimit(routeName)];
+}
+
+// ----------------------------------------------------------------------------
+// Handlers
+// ----------------------------------------------------------------------------
+
+// Readiness - probes every upstream dependency, 503 when a critical one is down
+async function handleReadiness({ res }) {
+    try {
+        const report = await getReadinessReport();
+        sendJson(res, report.status === 'ready' ? 200 : 503, report);
+    } catch (err) {
+        console.error('Readiness check error:', err.message);
+        sendJson(res, 503, { status: 'not_ready', error: 'Readiness check failed' });
+    }
+}
+
+// Liveness (and legacy health check) - the process is up and serving requests
+async function handleLiveness({ res }) {
+    sendJson(res, 200, {
+        status: 'healthy',
+        service: 'soniox-proxy',
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Prometheus scrape endpoint - protected by METRICS_TOKEN when set
+async function handleMetrics({ req, res }) {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+        throw httpError(401, 'Unauthorized');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics());
+}
+
+// Legacy /openai/token endpoint removed - raw API key exposure eliminated
+async function handleLegacyOpenAiToken() {
+    throw httpError(410, 'This endpoint has been removed. Use /api/openai/tts for TTS or /api/openai/chat for chat.');
+}
+
+// OpenAI Ephemeral Token endpoint - returns short-lived Realtime session token
+async function handleOpenAiEphemeralToken({ res, user, plan, body: params, signal }) {
+    const startedAt = Date.now();
+    const requestedVoice = params.voice || 'nova';
+    const model = params.model || 'gpt-4o-realtime-preview-2024-12-17';
+    
+    // The Realtime Sessions API supports a different voice set than /v1/audio/speech.
+    // Map standard TTS voices to their Realtime equivalents so both clients work.
+    const REALTIME_VOICE_MAP = {
+        'nova': 'coral',
+        'shimmer': 'shimmer',
+        'alloy': 'alloy',
+        'echo': 'echo',
+        'fable': 'sage',
+        'onyx': 'ash',
+    };
+    const VALID_REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse', 'marin', 'cedar'];
+    const voice = VALID_REALTIME_VOICES.includes(requestedVoice) 
+        ? requestedVoice 
+        : (REALTIME_VOICE_MAP[requestedVoice] || 'coral');
+    
+    assertEntitled(plan, [['realtime_models', model], ['tts_voices', voice]]);
+    
+    console.log(`OpenAI ephemeral token request for user: ${user.id}, voice: ${requestedVoice} -> ${voice}`);
+    
+    // Request ephemeral key from OpenAI Realtime API
+    const openaiResponse = await upstreamFetch('/api/openai/ephemeral-token', 'openai', 'https://api.openai.com/v1/realtime/sessions', {
+        method: 'POST',
+        signal,
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            model: model,
+            voice: voice,
+            modalities: ['text', 'audio'],
+        }),
+    });
+    
+    if (!openaiResponse.ok) {
+        const errorData = await openaiResponse.json().catch(() => ({}));
+        console.error('OpenAI ephemeral key error:', openaiResponse.status, errorData);
+        recordUsage({ userId: user.id, route: 'openai_ephemeral_token', provider: 'openai', model, durationMs: Date.now() - startedAt, status: 'upstream_error' });
+        throw httpError(openaiResponse.status >= 400 && openaiResponse.status < 600 ? openaiResponse.status : 500, 'Failed to create OpenAI session');
+    }
+    
+    const sessionData = await openaiResponse.json();
+    console.log(`OpenAI ephemeral token issued for user: ${user.id}`);
+    recordUsage({ userId: user.id, route: 'openai_ephemeral_token', provider: 'openai', model, durationMs: Date.now() - startedAt });
+    
+    sendJson(res, 200, {
+        ephemeralKey: sessionData.client_secret?.value || sessionData.api_key,
+        model: model,
+        voice: voice,
+        expiresAt: sessionData.client_secret?.expires_at,
+    });
+}
+
+// Soniox token endpoint for web clients (returns proxy URL, not API key)
+async function handleSonioxToken({ res, user }) {
+    console.log(`Soniox proxy access granted for user: ${user.id}`);
+    
+    // Return the proxy WebSocket URL (client connects to proxy, not directly to Soniox)
+    // This way the API key NEVER leaves the server
+    sendJson(res, 200, {
+        useProxy: true,
+        proxyUrl: 'wss://selah-proxy-ffrw7.ondigitalocean.app',
+        // Client should append ?token=THEIR_JWT to the URL
+        message: 'Connect to proxyUrl with your JWT token as query param'
+    });
+}
+
+// OpenAI TTS endpoint - converts text to speech using OpenAI's audio/speech API.
+// Every format is streamed as it is generated; long text is synthesized piece by piece.
+async function handleOpenAiTts({ req, res, user, plan, body: params }) {
+    const text = params.text || params.input;
+    const voice = params.voice || 'nova';
+    const model = params.model || 'tts-1';
+    const speed = params.speed || 1.0;
+    const responseFormat = params.response_format || 'mp3';
+    
+    if (!text || typeof text !== 'string') throw httpError(400, 'Missing required field: text');
+    
+    assertEntitled(plan, [['tts_models', model], ['tts_voices', voice]]);
+    
+    // Cached phrases are not charged to the quota - they cost nothing upstream
+    const settings = { model, voice, format: responseFormat, speed };
+    const cacheKey = ttsCacheKey('openai', settings, text);
+    if (await sendCachedTts({ req, res, userId: user.id, usageRoute: 'openai_tts', providerName: 'openai', settings, cacheKey })) return;
+    await assertDailyQuota(user.id, 'tts_chars', text.length);
+    
+    console.log(`OpenAI TTS request for user: ${user.id}, voice: ${voice}, format: ${responseFormat}, text length: ${text.length}`);
+    
+    // Characters that were never synthesized go back to the quota
+    let unspoken = text.length;
+    try {
+        unspoken = await streamTts(res, {
+            route: '/api/openai/tts',
+            usageRoute: 'openai_tts',
+            userId: user.id,
+            providerName: 'openai',
+            settings,
+            text,
+            cacheKey,
+        });
+    } finally {
+        await refundDailyQuota(user.id, 'tts_chars', unspoken);
+    }
+}
+
+// Deepgram TTS endpoint - converts text to speech using Deepgram's Aura voices
+// More cost-effective and faster than OpenAI for real-time streaming
+async function handleDeepgramTts({ req, res, user, plan, body: params }) {
+    const text = params.text || params.input;
+    // Deepgram Aura voices: aura-asteria-en, aura-luna-en, aura-stella-en, aura-athena-en, aura-hera-en, aura-orion-en, aura-arcas-en, aura-perseus-en, aura-angus-en, aura-orpheus-en, aura-helios-en, aura-zeus-en
+    const model = params.model || 'aura-asteria-en';
+    const encoding = params.encoding || 'mp3';
+    
+    if (!text || typeof text !== 'string') throw httpError(400, 'Missing required field: text');
+    
+    // Deepgram models are voices (aura-<voice>-<lang>), so both lists apply
+    assertEntitled(plan, [['tts_models', model], ['tts_voices', model]]);
+    
+    const settings = { model, format: encoding };
+    const cacheKey = ttsCacheKey('deepgram', settings, text);
+    if (await sendCachedTts({ req, res, userId: user.id, usageRoute: 'deepgram_tts', providerName: 'deepgram', settings, cacheKey })) return;
+    await assertDailyQuota(user.id, 'tts_chars', text.length);
+    
+    console.log(`Deepgram TTS request for user: ${user.id}, model: ${model}, text length: ${text.length}`);
+    
+    // Characters that were never synthesized go back to the quota
+    let unspoken = text.length;
+    try {
+        unspoken = await streamTts(res, {
+            route: '/api/deepgram/tts',
+            usageRoute: 'deepgram_tts',
+            userId: user.id,
+            providerName: 'deepgram',
+            settings,
+            text,
+            cacheKey,
+        });
+    } finally {
+        await refundDailyQuota(user.id, 'tts_chars', unspoken);
+    }
+}
+
+// Providers that can speak a catalog voice in a language and format (any format when null), in
+// failover order, as { providerName, settings } - plus why each other provider was passed over
+function ttsCandidates(plan, { voice, language, format, speed, provider: preferred }) {
+    const order = [...new Set([preferred, ...TTS_PROVIDER_ORDER].filter(Boolean))];
+    const candidates = [];
+    const skipped = [];
+    for (const providerName of order) {
+        const provider = TTS_PROVIDERS[providerName];
+        const providerVoice = provider && catalogVoice(voice, providerName, language);
+        if (!provider) {
+            skipped.push({ provider: providerName, error: 'Unknown provider' });
+        } else if (!provider.configured()) {
+            skipped.push({ provider: providerName, error: 'Not configured' });
+        } else if (!providerVoice) {
+            skipped.push({ provider: providerName, error: `No '${voice}' voice for language '${language}'` });
+        } else if (format && !provider.contentTypes[format]) {
+            skipped.push({ provider: providerName, error: `Format '${format}' not supported` });
+        } else {
+            const settings = ttsSettings(providerName, providerVoice, format, speed);
+            const denied = checkEntitlements(plan, [['tts_models', settings.model], ['tts_voices', settings.voice ?? settings.model]]);
+            if (denied) {
+                skipped.push({ provider: providerName, error: denied.message, reason: denied.reason });
+            } else {
+                candidates.push({ providerName, settings });
+            }
+        }
+    }
+    return { candidates, skipped };
+}
+
+// Unified TTS endpoint - a catalog voice, language and format instead of provider parameters.
+// Providers are tried in turn until one starts streaming; X-TTS-Provider names the one that did.
+async function handleTts({ req, res, user, plan, body: params }) {
+    const text = params.text || params.input;
+    const voice = params.voice || Object.keys(TTS_VOICE_CATALOG)[0];
+    const language = params.language || 'en';
+    const format = params.format || 'mp3';
+    const speed = params.speed || 1.0;
+    
+    if (!text || typeof text !== 'string') throw httpError(400, 'Missing required field: text');
+    if (!TTS_VOICE_CATALOG[voice]) throw httpError(400, `Unknown voice '${voice}' - see /api/tts/voices`);
+    if (typeof language !== 'string' || typeof format !== 'string') throw httpError(400, 'language and format must be strings');
+    if (params.provider !== undefined && !TTS_PROVIDERS[params.provider]) throw httpError(400, `Unknown TTS provider: ${params.provider}`);
+    
+    const { candidates, skipped } = ttsCandidates(plan, { voice, language, format, speed, provider: params.provider });
+    if (candidates.length === 0) {
+        const denied = skipped.find(skip => skip.reason);
+        if (denied) throw httpError(403, denied.error, { details: { plan: plan.name, reason: denied.reason } });
+        const status = skipped.every(skip => skip.error === 'Not configured') ? 503 : 400;
+        throw httpError(status, `No TTS provider can speak voice '${voice}' in '${language}' as ${format}`, { details: { attempts: skipped } });
+    }
+    
+    console.log(`TTS request for user: ${user.id}, voice: ${voice}, language: ${language}, format: ${format}, text length: ${text.length}, providers: ${candidates.map(c => c.providerName).join(' > ')}`);
+    
+    const attempts = [...skipped];
+    let quotaChecked = false;
+    for (const [i, { providerName, settings }] of candidates.entries()) {
+        res.setHeader('X-TTS-Provider', providerName);
+        const cacheKey = ttsCacheKey(providerName, settings, text);
+        if (await sendCachedTts({ req, res, userId: user.id, usageRoute: 'tts', providerName, settings, cacheKey })) return;
+        if (!quotaChecked) {
+            await assertDailyQuota(user.id, 'tts_chars', text.length);
+            quotaChecked = true;
+        }
+        
+        try {
+            const unspoken = await streamTts(res, {
+                route: '/api/tts',
+                usageRoute: 'tts',
+                userId: user.id,
+                providerName,
+                settings,
+                text,
+                cacheKey,
+                timeoutMs: TTS_FAILOVER_TIMEOUT_MS,
+            });
+            await refundDailyQuota(user.id, 'tts_chars', unspoken);
+            return;
+        } catch (err) {
+            // Once audio has gone out there is nothing to fail over to
+            if (res.headersSent) throw err;
+            attempts.push({ provider: providerName, error: err.message });
+            if (i + 1 < candidates.length) {
+                metrics.ttsFailovers.inc({ provider: providerName });
+                console.error(`TTS: ${TTS_PROVIDERS[providerName].label} failed (${err.message}), failing over to ${candidates[i + 1].providerName}`);
+            }
+        }
+    }
+    res.removeHeader('X-TTS-Provider');
+    // The quota was reserved once for the whole failover - nothing was spoken
+    if (quotaChecked) await refundDailyQuota(user.id, 'tts_chars', text.length);
+    throw httpError(502, 'Every TTS provider failed', { details: { attempts } });
+}
+
+// The catalog voices this plan can use, per language, with the provider voices behind them and
+// their formats. '*' lists the voices for any other language; ?language= narrows it to one language.
+async function handleTtsVoices({ res, plan, query }) {
+    const languages = new Set(['*']);
+    for (const entry of Object.values(TTS_VOICE_CATALOG)) {
+        for (const byLanguage of Object.values(entry.providers || {})) {
+            Object.keys(byLanguage).forEach(language => languages.add(language));
+        }
+    }
+    
+    const listing = {};
+    for (const language of query.get('language') ? [query.get('language')] : [...languages].sort()) {
+        listing[language] = [];
+        for (const [id, entry] of Object.entries(TTS_VOICE_CATALOG)) {
+            const { candidates } = ttsCandidates(plan, { voice: id, language, format: null, speed: null });
+            if (candidates.length === 0) continue;
+            listing[language].push({
+                id,
+                label: entry.label || id,
+                providers: candidates.map(({ providerName, settings }) => ({
+                    provider: providerName,
+                    voice: settings.voice ?? settings.model,
+                    formats: Object.keys(TTS_PROVIDERS[providerName].contentTypes),
+                })),
+            });
+        }
+    }
+    sendJson(res, 200, { voices: listing });
+}
+
+// OpenAI Chat Completions proxy - proxies requests to OpenAI so API key stays on server
+async function handleOpenAiChat({ res, user, plan, body: clientParams, signal }) {
+    const startedAt = Date.now();
+    
+    // Only a vetted subset of the client's request reaches OpenAI
+    const policy = applyChatPolicy(clientParams);
+    if (policy.error) throw httpError(400, policy.error);
+    const params = policy.params;
+    if (policy.stripped.length > 0) {
+        console.log(`OpenAI Chat: stripped unsupported fields for user ${user.id}: ${policy.stripped.join(', ')}`);
+    }
+    
+    assertEntitled(plan, [['chat_models', params.model]]);
+    // Token usage is only known from the response - block once today's quota is used up
+    await assertDailyQuota(user.id, 'chat_tokens', 0);
+    
+    console.log(`OpenAI Chat request for user: ${user.id}, model: ${params.model}`);
+    
+    const openaiResponse = await upstreamFetch('/api/openai/chat', 'openai', 'https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        signal,
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(params),
+    });
+    
+    if (!openaiResponse.ok) {
+        const errorText = await openaiResponse.text();
+        console.error('OpenAI Chat error:', openaiResponse.status, errorText.substring(0, 200));
+        recordUsage({ userId: user.id, route: 'openai_chat', provider: 'openai', model: params.model, durationMs: Date.now() - startedAt, status: 'upstream_error' });
+        throw httpError(openaiResponse.status, 'OpenAI Chat failed');
+    }
+    
+    // Stream SSE responses for streaming chat, buffer for non-streaming
+    if (params.stream && openaiResponse.body) {
+        res.writeHead(200, { 
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Transfer-Encoding': 'chunked',
+        });
+        const reader = openaiResponse.body.getReader();
+        const decoder = new TextDecoder();
+        let streamed = '';
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                res.write(Buffer.from(value));
+                streamed += decoder.decode(value, { stream: true });
+            }
+        } catch (streamErr) {
+            console.error('OpenAI Chat stream error:', streamErr.message);
+        } finally {
+            res.end();
+        }
+        const tokens = countStreamedChatTokens(streamed, JSON.stringify(params.messages));
+        recordUsage({ userId: user.id, route: 'openai_chat', provider: 'openai', model: params.model, tokens, durationMs: Date.now() - startedAt });
+        await recordDailyUsage(user.id, 'chat_tokens', tokens);
+        return;
+    }
+    
+    const data = await openaiResponse.arrayBuffer();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(Buffer.from(data));
+    const tokens = countChatTokens(Buffer.from(data).toString());
+    recordUsage({ userId: user.id, route: 'openai_chat', provider: 'openai', model: params.model, tokens, durationMs: Date.now() - startedAt });
+    await recordDailyUsage(user.id, 'chat_tokens', tokens);
+}
+
+// OpenAI Transcription proxy - proxies Whisper STT requests so API key stays on server
+async function handleOpenAiTranscription({ req, res, user, body: bodyBuffer, signal }) {
+    const startedAt = Date.now();
+    console.log(`OpenAI Transcription request for user: ${user.id}, body size: ${bodyBuffer.length}`);
+    
+    // Forward the raw multipart body to OpenAI (preserve content-type with boundary)
+    const openaiResponse = await upstreamFetch('/api/openai/transcriptions', 'openai', 'https://api.openai.com/v1/audio/transcriptions', {
+        method: 'POST',
+        // OpenAI answers only once the whole file is transcribed
+        timeoutMs: Math.max(upstreamTimeout('openai'), UPLOAD_READ_TIMEOUT_MS),
+        signal,
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': req.headers['content-type'],
+        },
+        body: bodyBuffer,
+    });
+    
+    if (!openaiResponse.ok) {
+        const errorText = await openaiResponse.text();
+        console.error('OpenAI Transcription error:', openaiResponse.status, errorText.substring(0, 200));
+        recordUsage({ userId: user.id, route: 'openai_transcriptions', provider: 'openai', bytes: bodyBuffer.length, durationMs: Date.now() - startedAt, status: 'upstream_error' });
+        throw httpError(openaiResponse.status, 'OpenAI Transcription failed');
+    }
+    
+    const data = await openaiResponse.arrayBuffer();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(Buffer.from(data));
+    
+    // verbose_json responses report the audio duration; plain json/text don't
+    let audioSeconds = 0;
+    try { audioSeconds = JSON.parse(Buffer.from(data).toString()).duration || 0; } catch (e) {}
+    recordUsage({
+        userId: user.id,
+        route: 'openai_transcriptions',
+        provider: 'openai',
+        model: multipartField(bodyBuffer, 'model'),
+        audioSeconds,
+        bytes: bodyBuffer.length,
+        durationMs: Date.now() - startedAt,
+    });
+}
+
+// DeepL Text Translation endpoint - translates text into one or more target languages
+async function handleDeeplTranslate({ res, user, plan, body: params, signal }) {
+    const startedAt = Date.now();
+    const text = params.text; // a string, or an array of strings translated in one DeepL call per language
+    const targetLanguages = params.target_languages; // array of lang codes
+    const sourceLanguage = params.source_language; // optional
+    const texts = Array.isArray(text) ? text : [text];
+
+    if (!text || !Array.isArray(targetLanguages) || targetLanguages.length === 0
+        || !targetLanguages.every(lang => typeof lang === 'string' && lang)
+        || !texts.every(entry => typeof entry === 'string' && entry)) {
+        throw httpError(400, 'Missing required fields: text (string or array of strings), target_languages (array)');
+    }
+
+    if (targetLanguages.length > MAX_TRANSLATION_TARGETS) {
+        throw httpError(400, `Maximum ${MAX_TRANSLATION_TARGETS} target languages per request`);
+    }
+
+    if (texts.length > DEEPL_MAX_BATCH_TEXTS) {
+        throw httpError(400, `Maximum ${DEEPL_MAX_BATCH_TEXTS} texts per request`);
+    }
+
+    assertEntitled(plan, targetLanguages.map(lang => ['translation_targets', lang]));
+    // Bill the characters DeepL will actually translate (one copy per target language, cache hits are free)
+    const billable = uncachedCharacters(texts, targetLanguages, sourceLanguage);
+    if (billable > 0) await assertDailyQuota(user.id, 'deepl_chars', billable);
+
+    console.log(`DeepL Translate for user: ${user.id}, targets: [${targetLanguages.join(',')}], texts: ${texts.length}, text length: ${texts.reduce((sum, entry) => sum + entry.length, 0)}`);
+
+    const results = {};
+    const promises = targetLanguages.map(async (targetLang) => {
+        results[targetLang] = await translateBatchWithDeepl('/api/deepl/translate', texts, targetLang, sourceLanguage, signal);
+    });
+
+    await Promise.all(promises);
+
+    const translated = Object.values(results).flat().filter(result => !result.error);
+    const characters = Object.values(results)
+        .flatMap(batch => batch.map((result, i) => result.error || result.cached ? 0 : texts[i].length))
+        .reduce((sum, count) => sum + count, 0);
+    // Failed batches were reserved but not translated
+    await refundDailyQuota(user.id, 'deepl_chars', billable - characters);
+    console.log(`DeepL Translate complete for user: ${user.id}, translated ${Object.keys(results).length} languages, ${translated.filter(result => result.cached).length} from cache`);
+    recordUsage({
+        userId: user.id,
+        route: 'deepl_translate',
+        provider: 'deepl',
+        characters,
+        durationMs: Date.now() - startedAt,
+        status: translated.length > 0 ? 'ok' : 'upstream_error',
+    });
+
+    // A single text keeps the original response shape: { translations: { es: { text } } }
+    const translations = Object.fromEntries(Object.entries(results).map(([lang, batch]) => [lang, Array.isArray(text) ? batch : batch[0]]));
+    sendJson(res, 200, { translations });
+}
+
+// Provider-agnostic translation down TRANSLATION_CHAIN (e.g. DeepL, then OpenAI for languages
+// DeepL lacks or when it fails). Same body as /api/deepl/translate; each result names its provider.
+async function handleTranslate({ res, user, plan, body: params, signal }) {
+    const startedAt = Date.now();
+    const text = params.text;
+    const targetLanguages = params.target_languages;
+    const sourceLanguage = params.source_language;
+    const texts = Array.isArray(text) ? text : [text];
+    
+    if (!text || !Array.isArray(targetLanguages) || targetLanguages.length === 0
+        || !targetLanguages.every(lang => typeof lang === 'string' && lang)
+        || !texts.every(entry => typeof entry === 'string' && entry)) {
+        throw httpError(400, 'Missing required fields: text (string or array of strings), target_languages (array)');
+    }
+    if (targetLanguages.length > MAX_TRANSLATION_TARGETS) {
+        throw httpError(400, `Maximum ${MAX_TRANSLATION_TARGETS} target languages per request`);
+    }
+    if (texts.length > DEEPL_MAX_BATCH_TEXTS) {
+        throw httpError(400, `Maximum ${DEEPL_MAX_BATCH_TEXTS} texts per request`);
+    }
+    
+    assertEntitled(plan, targetLanguages.map(lang => ['translation_targets', lang]));
+    
+    console.log(`Translate for user: ${user.id}, targets: [${targetLanguages.join(',')}], texts: ${texts.length}, chain: ${TRANSLATION_CHAIN.join(' > ')}`);
+    
+    const translations = {};
+    const spent = {};
+    await Promise.all(targetLanguages.map(async (targetLang) => {
+        const chained = await translateWithChain('/api/translate', user.id, texts, targetLang, sourceLanguage, signal);
+        translations[targetLang] = Array.isArray(text) ? chained.results : chained.results[0];
+        for (const [name, cost] of Object.entries(chained.spent)) {
+            spent[name] = {
+                characters: (spent[name]?.characters || 0) + cost.characters,
+                tokens: (spent[name]?.tokens || 0) + cost.tokens,
+                translated: (spent[name]?.translated || 0) + cost.translated,
+            };
+        }
+    }));
+    
+    // One usage record per provider that was called - its quota was settled call by call
+    for (const [name, cost] of Object.entries(spent)) {
+        const provider = TRANSLATION_PROVIDERS[name];
+        recordUsage({
+            userId: user.id,
+            route: 'translate',
+            provider: name,
+            model: provider.model,
+            characters: cost.characters,
+            tokens: cost.tokens,
+            durationMs: Date.now() - startedAt,
+            status: cost.translated > 0 ? 'ok' : 'upstream_error',
+        });
+    }
+    
+    sendJson(res, 200, { translations });
+}
+
+// Glossaries by 'source:target' pair
+async function handleListGlossaries({ res }) {
+    sendJson(res, 200, { glossaries: glossaryView() });
+}
+
+// Replace the glossary for one pair - body { terms: { "DeepL's term": "preferred term" } }
+async function handlePutGlossary({ res, user, params, body }) {
+    const pair = glossaryPair(params);
+    const terms = body.terms;
+    if (!terms || typeof terms !== 'object' || Array.isArray(terms)
+        || !Object.entries(terms).every(([term, replacement]) => term.trim() && typeof replacement === 'string')) {
+        throw httpError(400, 'terms must be an object of non-empty term -> replacement strings');
+    }
+    if (Object.keys(terms).length > MAX_GLOSSARY_TERMS) {
+        throw httpError(400, `Maximum ${MAX_GLOSSARY_TERMS} terms per glossary`);
+    }
+    
+    const glossary = { terms, updated_at: new Date().toISOString() };
+    glossaries.set(pair, { ...glossary, rules: compileGlossary(terms) });
+    await saveGlossaries();
+    console.log(`Glossary ${pair} updated by ${user.id}: ${Object.keys(terms).length} terms`);
+    sendJson(res, 200, { pair, ...glossary });
+}
+
+async function handleDeleteGlossary({ res, user, params }) {
+    const pair = glossaryPair(params);
+    if (!glossaries.delete(pair)) throw httpError(404, 'Glossary not found');
+    await saveGlossaries();
+    console.log(`Glossary ${pair} deleted by ${user.id}`);
+    res.writeHead(204);
+    res.end();
+}
+
+function glossaryPair({ source, target }) {
+    const language = /^[a-z]{2,3}(-[a-z0-9]+)?$/;
+    source = source.toLowerCase();
+    target = target.toLowerCase();
+    if ((source !== '*' && !language.test(source)) || !language.test(target)) {
+        throw httpError(400, "Language pair must be /:source/:target language codes (source may be '*')");
+    }
+    return `${source}:${target}`;
+}
+
+// Saved session transcripts for the authenticated user, newest first - ?limit=N (default 50)
+async function handleListTranscripts({ res, user, query }) {
+    const limit = Math.min(Math.max(parseInt(query.get('limit') || '50', 10) || 50, 1), 200);
+    const transcripts = await transcriptStore.list(user.id, limit);
+    sendJson(res, 200, { transcripts });
+}
+
+// One saved transcript with all of its segments
+async function handleGetTranscript({ res, user, params }) {
+    const transcript = await transcriptStore.get(user.id, params.id);
+    if (!transcript) throw httpError(404, 'Transcript not found');
+    sendJson(res, 200, transcript);
+}
+
+// A saved transcript as captions - ?format=srt|vtt|txt&track=original|translation|bilingual&language=xx
+async function handleExportTranscript({ res, user, params, query }) {
+    const options = exportOptions(Object.fromEntries(query));
+    const transcript = await transcriptStore.get(user.id, params.id);
+    if (!transcript) throw httpError(404, 'Transcript not found');
+    sendCaptions(res, transcript.segments || [], options, `transcript-${transcript.id}`);
+}
+
+// Captions from a posted Soniox token array ({tokens}) or segment list ({segments}), same options in the body
+async function handleExportTokens({ res, body }) {
+    const options = exportOptions(body);
+    let segments;
+    if (Array.isArray(body.tokens)) {
+        segments = segmentsFromTokens(body.tokens);
+    } else if (Array.isArray(body.segments)) {
+        segments = body.segments.filter(s => s && typeof s.text === 'string');
+    } else {
+        throw httpError(400, 'Missing required field: tokens (array) or segments (array)');
+    }
+    sendCaptions(res, segments, options, 'transcript');
+}
+
+// Stream an audio file to disk for a later POST /api/jobs - ?filename=service.mp3
+async function handleJobUpload({ req, res, user, query }) {
+    const mediaType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!/^(audio|video)\//.test(mediaType) && mediaType !== 'application/octet-stream') {
+        throw bodyError(415, 'Unsupported Content-Type: expected audio/*, video/* or application/octet-stream');
+    }
+    
+    const limit = uploadAllowance(user.id);
+    await mkdir(JOB_UPLOAD_DIR, { recursive: true });
+    const id = randomUUID();
+    const path = join(JOB_UPLOAD_DIR, `${id}.upload`);
+    // Held against the allowances until the upload is stored (or has failed)
+    const declaredLength = parseInt(req.headers['content-length'] || '0', 10);
+    receivingUploads.set(id, { userId: user.id, bytes: declaredLength > 0 ? Math.min(declaredLength, limit) : limit });
+    let bytes;
+    try {
+        bytes = await saveBodyToFile(req, path, { limit, timeoutMs: JOB_UPLOAD_TIMEOUT_MS });
+    } finally {
+        receivingUploads.delete(id);
+    }
+    if (bytes === 0) {
+        unlink(path).catch(() => {});
+        throw httpError(400, 'Empty upload');
+    }
+    
+    const filename = (query.get('filename') || `${id}${mediaType.startsWith('audio/') ? `.${mediaType.substring(6)}` : ''}`)
+        .replace(/[^\w.\- ]/g, '_').substring(0, 200);
+    const createdAt = new Date().toISOString();
+    uploads.set(id, { id, userId: user.id, path, filename, bytes, createdAt, jobId: null });
+    console.log(`Job upload ${id} stored for user: ${user.id}, ${bytes} bytes`);
+    sendJson(res, 201, {
+        upload_id: id,
+        filename,
+        bytes,
+        expires_at: new Date(Date.parse(createdAt) + JOB_RETENTION_HOURS * 3600000).toISOString(),
+    });
+}
+
+// Submit an upload to Soniox async transcription - answers 202 right away, poll GET /api/jobs/:id
+async function handleCreateJob({ res, user, plan, body: params }) {
+    const upload = uploads.get(params.upload_id);
+    if (!upload || upload.userId !== user.id || upload.jobId) throw httpError(404, 'Upload not found');
+    
+    const model = params.model || SONIOX_ASYNC_MODEL;
+    const translation = params.translation || null;
+    if (typeof model !== 'string') throw httpError(400, 'model must be a string');
+    if (translation && (typeof translation !== 'object' || !['one_way', 'two_way'].includes(translation.type)
+        || !translationLanguages(translation).every(lang => typeof lang === 'string' && lang))) {
+        throw httpError(400, "translation must be {type: 'one_way', target_language} or {type: 'two_way', language_a, language_b}");
+    }
+    if (params.language_hints !== undefined && (!Array.isArray(params.language_hints)
+        || !params.language_hints.every(lang => typeof lang === 'string'))) {
+        throw httpError(400, 'language_hints must be an array of language codes');
+    }
+    if (params.callback_url !== undefined) {
+        const invalid = checkCallbackUrl(params.callback_url);
+        if (invalid) throw httpError(400, invalid);
+    }
+    
+    assertEntitled(plan, [
+        ['soniox_models', model],
+        ...translationLanguages(translation).map(lang => ['translation_targets', lang]),
+    ]);
+    await assertDailyQuota(user.id, 'file_minutes', 0);
+    
+    const now = new Date().toISOString();
+    const job = {
+        id: randomUUID(),
+        userId: user.id,
+        status: 'uploading',
+        model,
+        translation,
+        // Passed through to Soniox as-is
+        options: Object.fromEntries(Object.entries({
+            language_hints: params.language_hints,
+            enable_speaker_diarization: params.enable_speaker_diarization === true || undefined,
+            enable_language_identification: params.enable_language_identification === true || undefined,
+        }).filter(([, value]) => value !== undefined)),
+        callbackUrl: params.callback_url || null,
+        filename: upload.filename,
+        bytes: upload.bytes,
+        audioDurationMs: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        sonioxFileId: null,
+        sonioxTranscriptionId: null,
+        pollTimer: null,
+        pollFailures: 0,
+        hasResult: false,
+    };
+    upload.jobId = job.id;
+    jobs.set(job.id, job);
+    console.log(`Job ${job.id} created for user: ${user.id}, model: ${model}, upload: ${upload.id}`);
+    runJob(job, upload);
+    
+    sendJson(res, 202, jobView(job), { 'Location': `/api/jobs/${job.id}` });
+}
+
+function findJob(user, id) {
+    const job = jobs.get(id);
+    if (!job || job.userId !== user.id) throw httpError(404, 'Job not found');
+    return job;
+}
+
+async function handleGetJob({ res, user, params }) {
+    sendJson(res, 200, jobView(findJob(user, params.id)));
+}
+
+// The finished transcript - ?format=json (default: {text, tokens}) or srt|vtt|txt with the export options
+async function handleJobTranscript({ res, user, params, query }) {
+    const job = findJob(user, params.id);
+    if (job.status !== 'completed') {
+        throw httpError(409, `Job is ${job.status}`, { details: { status: job.status } });
+    }
+    let result;
+    try {
+        result = JSON.parse(await readFile(jobResultPath(job), 'utf8'));
+    } catch (err) {
+        // Removed from JOB_UPLOAD_DIR behind our back, or lost with the volume
+        if (err.code === 'ENOENT') throw httpError(404, 'Transcript no longer available');
+        throw err;
+    }
+    
+    const format = query.get('format') || 'json';
+    if (format === 'json') {
+        sendJson(res, 200, { id: job.id, ...result });
+        return;
+    }
+    // Async tokens are all final - mark them so for the live segmentation rules
+    const segments = segmentsFromTokens(result.tokens.map(token => ({ ...token, is_final: true })));
+    sendCaptions(res, segments, exportOptions({ ...Object.fromEntries(query), format }), `job-${job.id}`);
+}
+
+// Usage totals for the authenticated user - ?days=N (default 30)
+async function handleUsage({ res, user, query }) {
+    const days = Math.min(Math.max(parseInt(query.get('days') || '30', 10) || 30, 1), 366);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const totals = await usageSink.totals(user.id, since);
+    sendJson(res, 200, { user_id: user.id, since, days, ...totals });
+}
+
+// ----------------------------------------------------------------------------
+// Route table
+// ----------------------------------------------------------------------------
+
+const router = createRouter();
+router.use(cors());
+
+// Health checks don't change per request, so browsers may cache their preflight for a day
+const HEALTH_ROUTE = { cors: { maxAge: 86400 } };
+
+router.get('/', HEALTH_ROUTE, handleLiveness);
+router.get('/health', HEALTH_ROUTE, handleLiveness);
+router.get('/health/live', HEALTH_ROUTE, handleLiveness);
+router.get('/health/ready', HEALTH_ROUTE, handleReadiness);
+router.get('/metrics', handleMetrics);
+router.post('/openai/token', handleLegacyOpenAiToken);
+
+router.post('/api/openai/ephemeral-token', ...paidRoute('openai_ephemeral_token'), jsonBody(), handleOpenAiEphemeralToken);
+router.post('/api/soniox/token', ...paidRoute('soniox_token'), handleSonioxToken);
+// Cached TTS audio can be revalidated with If-None-Match
+const TTS_ROUTE = { cors: { headers: ['If-None-Match'] } };
+router.post('/api/openai/tts', TTS_ROUTE, ...paidRoute('openai_tts'), jsonBody(), handleOpenAiTts);
+router.post('/api/deepgram/tts', TTS_ROUTE,
+    requireConfigured(() => DEEPGRAM_API_KEY, 'Deepgram TTS not configured'),
+    ...paidRoute('deepgram_tts'), jsonBody(), handleDeepgramTts);
+router.post('/api/tts', TTS_ROUTE, ...paidRoute('tts'), jsonBody(), handleTts);
+router.get('/api/tts/voices', authenticate(), handleTtsVoices);
+router.post('/api/openai/chat', ...paidRoute('openai_chat'), jsonBody({ limit: MAX_CHAT_BODY_BYTES }), handleOpenAiChat);
+router.post('/api/openai/transcriptions', ...paidRoute('openai_transcriptions'),
+    rawBody({ limit: MAX_UPLOAD_BODY_BYTES, contentTypes: ['multipart/form-data'], timeoutMs: UPLOAD_READ_TIMEOUT_MS }),
+    handleOpenAiTranscription);
+router.post('/api/deepl/translate',
+    requireConfigured(() => DEEPL_AUTH_KEY, 'DeepL translation not configured'),
+    ...paidRoute('deepl_translate'), jsonBody(), handleDeeplTranslate);
+router.post('/api/translate', ...paidRoute('translate'), jsonBody(), handleTranslate);
+router.get('/api/admin/glossaries', authenticate(), requireAdmin(), handleListGlossaries);
+router.put('/api/admin/glossaries/:source/:target', authenticate(), requireAdmin(), jsonBody({ limit: MAX_CHAT_BODY_BYTES }), handlePutGlossary);
+router.delete('/api/admin/glossaries/:source/:target', authenticate(), requireAdmin(), handleDeleteGlossary);
+router.get('/api/usage', authenticate(), handleUsage);
+
+const requireTranscriptStore = requireConfigured(() => transcriptStore, 'Transcript storage not configured');
+router.get('/api/transcripts', requireTranscriptStore, authenticate(), rateLimit('transcripts'), handleListTranscripts);
+router.get('/api/transcripts/:id', requireTranscriptStore, authenticate(), rateLimit('transcripts'), handleGetTranscript);
+router.get('/api/transcripts/:id/export', requireTranscriptStore, authenticate(), rateLimit('transcripts'), handleExportTranscript);
+router.post('/api/transcripts/export', authenticate(), rateLimit('transcripts'),
+    jsonBody({ limit: MAX_EXPORT_BODY_BYTES }), handleExportTokens);
+router.post('/api/jobs/uploads', ...paidRoute('soniox_jobs'), handleJobUpload);
+router.post('/api/jobs', ...paidRoute('soniox_jobs'), jsonBody(), handleCreateJob);
+router.get('/api/jobs/:id', authenticate(), handleGetJob);
+router.get('/api/jobs/:id/transcript', authenticate(), handleJobTranscript);
+
+// Create HTTP server
+const server = createServer((req, res) => router.handle(req, res));
+
+// Create WebSocket server. Browsers always send Origin on WebSocket upgrades and never apply
+// CORS to them, so the allow-list is enforced here - a refused origin gets a plain HTTP 403.
+const wss = new WebSocketServer({
+    server,
+    verifyClient: ({ origin }, done) => {
+        if (isOriginAllowed(origin)) return done(true);
+        console.log(`WebSocket upgrade from origin ${origin} not allowed`);
+        done(false, 403, 'Forbidden: origin not allowed');
+    }
+});
+
+// Track active connections
+const connections = new Map();
+
+// Broadcast rooms by id - { id, ownerUserId, joinCode, speakerId, listeners: Set<connectionId>, idleTimer }
+const rooms = new Map();
+
+console.log('Selah Translation Proxy Server starting...');
+console.log(`Port: ${PORT}`);
+console.log(`Supabase URL: ${SUPABASE_URL}`);
+console.log(`Soniox API Key: ${SONIOX_API_KEY ? '✓ configured' : '✗ missing'}`);
+console.log(`OpenAI API Key: ${OPENAI_API_KEY ? '✓ configured' : '✗ missing'}`);
+console.log(`Deepgram API Key: ${DEEPGRAM_API_KEY ? '✓ configured' : '✗ missing'}`);
+console.log(`DeepL Auth Key: ${DEEPL_AUTH_KEY ? '✓ configured' : '✗ missing'}`);
+console.log(`CORS origins: ${CORS_ALLOWED_ORIGINS.join(', ') || 'none (browser requests blocked)'}`);
+console.log(`Auth: ${AUTH_VERIFY_MODE} verification${AUTH_VERIFY_MODE === 'local' ? ` (HS256 secret: ${SUPABASE_JWT_SECRET ? '✓' : '✗'}, JWKS: ${SUPABASE_JWKS_URL}, remote fallback: ${AUTH_REMOTE_FALLBACK ? 'on' : 'off'})` : ''}`);
+
+wss.on('connection', async (clientWs, req) => {
+    const connectionId = generateConnectionId();
+    console.log(`[${connectionId}] New client connection from ${req.socket.remoteAddress}`);
+    
+    // Registered before the first await so a client that drops during auth is noticed;
+    // cleanupConnection is a no-op until the connection has been stored
+    clientWs.on('close', (code, reason) => {
+        console.log(`[${connectionId}] Client disconnected: ${code} ${reason?.toString() || ''}`);
+        cleanupConnection(connectionId);
+    });
+    
+    clientWs.on('error', (err) => {
+        console.error(`[${connectionId}] Client WebSocket error:`, err.message);
+        cleanupConnection(connectionId);
+    });
+    // Checked after every await - a closed socket must not be stored or take a room seat
+    const disconnected = () => {
+        if (clientWs.readyState === WebSocket.OPEN) return false;
+        console.log(`[${connectionId}] Client went away during auth`);
+        return true;
+    };
+    
+    // Parse auth token from query string (standard for WebSocket auth over wss://).
+    // The connection is TLS-encrypted end-to-end so the token is not exposed in transit.
+    // Sec-WebSocket-Protocol headers are stripped by DigitalOcean/Cloudflare reverse proxies.
+    let token = null;
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    token = url.searchParams.get('token');
+    
+    // Fallback: try Sec-WebSocket-Protocol header (for direct connections without reverse proxy)
+    if (!token) {
+        const protocols = req.headers['sec-websocket-protocol'];
+        if (protocols) {
+            const protocolParts = protocols.split(',').map(p => p.trim());
+            const bearerProtocol = protocolParts.find(p => p.startsWith('Bearer.'));
+            if (bearerProtocol) {
+                token = bearerProtocol.replace('Bearer.', '');
+            }
+        }
+    }
+    
+    // Broadcast rooms - ?role=speaker&room=ID or ?role=listener&room=ID&code=JOIN_CODE[&language=es]
+    const roomParams = parseRoomParams(url.searchParams);
+    if (roomParams.error) {
+        console.log(`[${connectionId}] ${roomParams.error}, closing connection`);
+        sendError(clientWs, roomParams.error, 400);
+        clientWs.close(1008, 'Invalid room parameters');
+        return;
+    }
+    // Listeners never open a Soniox session, so they are entitled and rate limited separately
+    const wsRoute = roomParams.role === 'listener' ? 'room_listen' : 'soniox_ws';
+    
+    if (!token) {
+        console.log(`[${connectionId}] No token provided, closing connection`);
+        metrics.authFailures.inc({ route: 'websocket', reason: 'missing_token' });
+        sendError(clientWs, 'Unauthorized: No token provided', 401);
+        clientWs.close(1008, 'Unauthorized');
+        return;
+    }
+    
+    // Verify Supabase JWT
+    let user;
+    let claims;
+    try {
+        const verified = await verifyToken(token);
+        user = verified.user;
+        claims = verified.claims;
+        const error = verified.error;
+        
+        if (error || !user) {
+            console.log(`[${connectionId}] Auth failed: ${error?.message || 'Invalid token'}`);
+            metrics.authFailures.inc({ route: 'websocket', reason: 'invalid_token' });
+            sendError(clientWs, 'Unauthorized: Invalid token', 401);
+            clientWs.close(1008, 'Unauthorized');
+            return;
+        }
+        
+        // Log authentication success without exposing full email (redact for privacy)
+        const emailHint = user.email ? user.email.substring(0, 3) + '***' : 'unknown';
+        console.log(`[${connectionId}] User authenticated: ${user.id} (${emailHint})`);
+    } catch (err) {
+        console.error(`[${connectionId}] Auth error:`, err.message);
+        sendError(clientWs, 'Authentication error', 500);
+        clientWs.close(1011, 'Auth error');
+        return;
+    }
+    if (disconnected()) return;
+    
+    const plan = resolvePlan(user, claims);
+    const routeDenied = checkEntitlements(plan, [['routes', wsRoute]]);
+    if (routeDenied) {
+        console.log(`[${connectionId}] ${routeDenied.message}, closing connection`);
+        sendError(clientWs, routeDenied.message, 403);
+        clientWs.close(4403, 'Forbidden');
+        return;
+    }
+    
+    const limited = await takeRateLimitToken(user.id, wsRoute);
+    if (limited) {
+        console.log(`[${connectionId}] Rate limited user ${user.id}, closing connection`);
+        closeRateLimited(clientWs, limited);
+        return;
+    }
+    if (disconnected()) return;
+    
+    // Checked after the awaits above so two speakers can't both claim an empty room
+    const refused = roomParams.role && checkRoomAdmission(user.id, roomParams);
+    if (refused) {
+        console.log(`[${connectionId}] Room ${roomParams.roomId} refused: ${refused.message}, closing connection`);
+        sendError(clientWs, refused.message, refused.code);
+        clientWs.close(refused.closeCode, refused.message);
+        return;
+    }
+    
+    // Store connection info
+    const connectionInfo = {
+        clientWs,
+        sonioxWs: null,
+        sonioxSocket: null,      // latest upstream socket, including one still connecting
+        connectionId,
+        userId: user.id,
+        plan,
+        isReady: false,
+        closed: false,
+        // Streaming-minutes quota accounting while a Soniox session is active
+        streamingTimer: null,
+        streamingSince: null,
+        // Usage record for the current Soniox session, written when it ends
+        sessionUsage: null,
+        // Token lifetime - the client must send refresh_token before this or the session is closed
+        tokenExpiresAt: null,
+        authWarningTimer: null,
+        authExpiryTimer: null,
+        // Reconnect state - the last start config is replayed to Soniox after an upstream drop
+        lastConfig: null,
+        sonioxResumable: false,
+        sonioxFinished: false,
+        lastSonioxErrorCode: null,
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        // Replay buffer - recent PCM frames positioned on the client's audio timeline (ms)
+        audioBuffer: [],
+        audioBufferBytes: 0,
+        audioClockMs: 0,
+        upstreamOffsetMs: 0,
+        finalizedAudioMs: 0,
+        // Transcript protocol - 1 relays raw Soniox JSON, 2 sends normalized events built from `transcript`
+        protocol: roomParams.protocol || 1,
+        transcript: null,
+        // DeepL fan-out state when the start message asked for target_languages
+        fanout: null,
+        // Transcript being recorded for this connection (start with save_transcript: true)
+        capture: null,
+        // Live TTS this client wants to hear (null = off), and the sentences this
+        // session produces for it and for room listeners
+        tts: null,
+        speech: null,
+        // Broadcast room membership - role is null for a plain one-to-one session
+        role: roomParams.role,
+        roomId: roomParams.roomId,
+        language: roomParams.language
+    };
+    connections.set(connectionId, connectionInfo);
+    scheduleAuthExpiry(connectionId, claims?.exp);
+    const room = roomParams.role ? joinRoom(connectionInfo, roomParams) : null;
+    
+    // Send immediate acknowledgment so client knows auth passed and server is ready
+    console.log(`[${connectionId}] Auth complete, sending auth_success to client`);
+    sendToClient(clientWs, {
+        type: 'auth_success',
+        message: roomParams.role === 'listener' ? 'Authenticated, joined room as listener' : 'Authenticated, ready for start message',
+        connectionId: connectionId,
+        ...(room ? { room } : {})
+    });
+    
+    // Handle messages from client
+    clientWs.on('message', (data, isBinary) => {
+        console.log(`[${connectionId}] Received message: isBinary=${isBinary}, type=${typeof data}, length=${data?.length || 0}`);
+        handleClientMessage(connectionId, data, isBinary);
+    });
+});
+
+function handleClientMessage(connectionId, data, isBinary) {
+    const conn = connections.get(connectionId);
+    if (!conn) {
+        console.log(`[${connectionId}] No connection found for message`);
+        return;
+    }
+    
+    // Convert data to string for inspection
+    const dataStr = data.toString();
+    
+    // Check if it looks like JSON (starts with { or [)
+    const looksLikeJson = dataStr.startsWith('{') || dataStr.startsWith('[');
+    
+    // Listeners only receive - they can't publish audio or control the speaker's session
+    if (conn.role === 'listener' && isBinary && !looksLikeJson) {
+        console.log(`[${connectionId}] Dropping audio from listener`);
+        return;
+    }
+    
+    // If binary audio data (not JSON), forward to Soniox
+    if (isBinary && !looksLikeJson) {
+        // Keep recent audio so it can be replayed if the upstream drops mid-session
+        bufferAudio(conn, data);
+        if (conn.sonioxWs && conn.sonioxWs.readyState === WebSocket.OPEN) {
+            conn.sonioxWs.send(data);
+            meterAudioSent(conn, data);
+            metrics.relayedBytes.inc({ direction: 'client_to_soniox' }, data.length);
+            // Don't log every audio packet to reduce noise
+        } else {
+            // Not connected yet (or reconnecting) - audio is only kept in the replay buffer
+        }
+        return;
+    }
+    
+    // Parse JSON message
+    let message;
+    try {
+        message = JSON.parse(dataStr);
+        const loggable = message.token ? { ...message, token: '[redacted]' } : message;
+        console.log(`[${connectionId}] Parsed JSON message:`, JSON.stringify(loggable).substring(0, 200));
+    } catch (err) {
+        console.log(`[${connectionId}] Failed to parse JSON: ${err.message}`);
+        console.log(`[${connectionId}] Raw data (first 200 chars):`, dataStr.substring(0, 200));
+        return;
+    }
+    
+    // Handle ping/keepalive
+    if (message.type === 'ping') {
+        console.log(`[${connectionId}] Received ping, sending pong`);
+        sendToClient(conn.clientWs, {
+            type: 'pong',
+            ref: message.ref || 0,
+            timestamp: Date.now()
+        });
+        return;
+    }
+    
+    // Handle token refresh - re-verify without touching the Soniox stream
+    if (message.type === 'refresh_token') {
+        refreshConnectionAuth(connectionId, message.token);
+        return;
+    }
+    
+    if (conn.role === 'listener') {
+        if (message.type === 'set_language') {
+            conn.language = typeof message.language === 'string' && message.language ? message.language : null;
+            console.log(`[${connectionId}] Listener language set to ${conn.language || 'all'}`);
+            sendToClient(conn.clientWs, { type: 'language_set', language: conn.language });
+        } else if (message.type === 'set_tts') {
+            setListenerTts(connectionId, message.tts);
+        } else {
+            sendError(conn.clientWs, 'Forbidden: listeners cannot publish to the room', 403);
+        }
+        return;
+    }
+    
+    // Handle start action - connect to Soniox
+    if (message.action === 'start') {
+        console.log(`[${connectionId}] ✅ Received START action - connecting to Soniox...`);
+        const configToUse = message.config || message;
+        const translation = configToUse.translation || {};
+        console.log(`[${connectionId}] Config structure:`, JSON.stringify({
+            hasTranslation: !!configToUse.translation,
+            translation: translation,
+            targetLang: translation.target_language,
+            sourceLang: translation.source_language
+        }));
+        startSonioxSession(connectionId, configToUse);
+        return;
+    }
+    
+    // Handle finalize message - flush pending tokens before language switch
+    if (message.type === 'finalize') {
+        console.log(`[${connectionId}] 📝 Received FINALIZE - flushing pending tokens...`);
+        if (conn.sonioxWs && conn.sonioxWs.readyState === WebSocket.OPEN) {
+            // Forward finalize message to Soniox
+            conn.sonioxWs.send(JSON.stringify(message));
+            console.log(`[${connectionId}] Finalize message forwarded to Soniox`);
+        } else if (conn.reconnectAttempts > 0) {
+            console.log(`[${connectionId}] Cannot finalize - Soniox reconnecting`);
+        } else {
+            console.log(`[${connectionId}] Cannot finalize - Soniox not connected`);
+        }
+        return;
+    }
+    
+    // Forward other messages to Soniox
+    console.log(`[${connectionId}] Forwarding message to Soniox:`, JSON.stringify(message).substring(0, 100));
+    if (conn.sonioxWs && conn.sonioxWs.readyState === WebSocket.OPEN) {
+        conn.sonioxWs.send(JSON.stringify(message));
+    } else {
+        console.log(`[${connectionId}] Cannot forward - Soniox not connected (state: ${conn.sonioxWs?.readyState})`);
+    }
+}
+
+// Warn the client before its token expires and close the session once it has
+function scheduleAuthExpiry(connectionId, exp) {
+    const conn = connections.get(connectionId);
+    if (!conn) return;
+    clearAuthTimers(conn);
+    conn.tokenExpiresAt = typeof exp === 'number' ? exp * 1000 : null;
+    if (!conn.tokenExpiresAt) return;
+    
+    // setTimeout fires immediately past ~24.8 days, so very long-lived tokens are capped
+    const expiresInMs = Math.min(conn.tokenExpiresAt - Date.now(), 2 ** 31 - 1);
+    
+    conn.authWarningTimer = setTimeout(() => {
+        conn.authWarningTimer = null;
+        console.log(`[${connectionId}] Token expiring, asking client to refresh`);
+        sendToClient(conn.clientWs, {
+            type: 'auth_expiring',
+            expires_at: new Date(conn.tokenExpiresAt).toISOString(),
+            expires_in_ms: Math.max(0, conn.tokenExpiresAt - Date.now())
+        });
+    }, Math.max(0, expiresInMs - AUTH_EXPIRY_WARNING_SECONDS * 1000));
+    
+    conn.authExpiryTimer = setTimeout(() => {
+        conn.authExpiryTimer = null;
+        console.log(`[${connectionId}] Token expired without refresh, closing session`);
+        sendError(conn.clientWs, 'Unauthorized: Token expired', 401);
+        if (conn.clientWs.readyState === WebSocket.OPEN) {
+            conn.clientWs.close(4401, 'Token expired');
+        }
+    }, Math.max(0, expiresInMs));
+}
+
+function clearAuthTimers(conn) {
+    clearTimeout(conn.authWarningTimer);
+    clearTimeout(conn.authExpiryTimer);
+    conn.authWarningTimer = null;
+    conn.authExpiryTimer = null;
+}
+
+// Swap in a fresh token for the same user. Refreshes always go to Supabase, even in local
+// mode: a still-valid token from a banned or signed-out user is refused there. A failed
+// refresh leaves the old deadline in place, so the session ends when the current token runs out.
+async function refreshConnectionAuth(connectionId, token) {
+    const conn = connections.get(connectionId);
+    if (!conn) return;
+    
+    let result;
+    if (typeof token !== 'string' || !token) {
+        result = { user: null, error: new Error('No token provided') };
+    } else {
+        try {
+            result = await verifyToken(token, { remote: true });
+        } catch (err) {
+            console.error(`[${connectionId}] Token refresh error:`, err.message);
+            result = { user: null, error: new Error('Authentication error') };
+        }
+    }
+    if (conn.closed) return;
+    
+    if (result.user && result.user.id !== conn.userId) {
+        result = { user: null, error: new Error('Token belongs to a different user') };
+    }
+    if (!result.user) {
+        console.log(`[${connectionId}] Token refresh rejected: ${result.error?.message || 'Invalid token'}`);
+        metrics.authFailures.inc({ route: 'websocket_refresh', reason: 'invalid_token' });
+        sendToClient(conn.clientWs, {
+            type: 'auth_refresh_failed',
+            message: `Unauthorized: ${result.error?.message || 'Invalid token'}`,
+            expires_at: conn.tokenExpiresAt ? new Date(conn.tokenExpiresAt).toISOString() : null
+        });
+        return;
+    }
+    
+    scheduleAuthExpiry(connectionId, result.claims?.exp);
+    // Plan changes (upgrade/downgrade) take effect on the next start
+    conn.plan = resolvePlan(result.user, result.claims);
+    console.log(`[${connectionId}] Token refreshed for user ${conn.userId}`);
+    sendToClient(conn.clientWs, {
+        type: 'auth_refreshed',
+        expires_at: conn.tokenExpiresAt ? new Date(conn.tokenExpiresAt).toISOString() : null
+    });
+}
+
+// Check the user's limits before opening (or re-opening) a Soniox session for a start message
+async function startSonioxSession(connectionId, config) {
+    const conn = connections.get(connectionId);
+    if (!conn) return;
+    
+    const targets = translationTargets(config);
+    const invalid = targets && checkTranslationTargets(targets);
+    if (invalid) {
+        console.log(`[${connectionId}] Start rejected for user ${conn.userId}: ${invalid.message}`);
+        sendToClient(conn.clientWs, { type: 'error', ...invalid });
+        return;
+    }
+    
+    // Reject models/languages outside the user's plan - the connection stays open for a corrected start
+    const denied = checkEntitlements(conn.plan, [
+        ['soniox_models', config.model || 'stt-rt-preview'],
+        ...(targets || [config.translation?.target_language]).map(lang => ['translation_targets', lang]),
+    ]);
+    if (denied) {
+        console.log(`[${connectionId}] Start rejected for user ${conn.userId}: ${denied.message}`);
+        sendToClient(conn.clientWs, { type: 'error', message: denied.message, code: 403, reason: denied.reason });
+        return;
+    }
+    
+    if (config.protocol !== undefined && !TRANSCRIPT_PROTOCOLS.includes(config.protocol)) {
+        sendToClient(conn.clientWs, { type: 'error', message: `protocol must be one of: ${TRANSCRIPT_PROTOCOLS.join(', ')}`, code: 400 });
+        return;
+    }
+    
+    if (config.save_transcript && !transcriptStore) {
+        sendToClient(conn.clientWs, { type: 'error', message: 'Transcript storage not configured', code: 503 });
+        return;
+    }
+    
+    const tts = parseLiveTts(conn.plan, config.tts, config.translation?.target_language);
+    if (tts.error) {
+        console.log(`[${connectionId}] Start rejected for user ${conn.userId}: ${tts.error.message}`);
+        sendToClient(conn.clientWs, { type: 'error', ...tts.error });
+        return;
+    }
+    
+    const limited = await takeRateLimitToken(conn.userId, 'soniox_ws')
+        || await consumeDailyQuota(conn.userId, 'streaming_minutes', 0)
+        || (targets && await consumeDailyQuota(conn.userId, 'deepl_chars', 0))
+        || (tts.settings && await consumeDailyQuota(conn.userId, 'tts_chars', 0));
+    if (limited) {
+        console.log(`[${connectionId}] Start rejected for user ${conn.userId}: ${limited.message}`);
+        closeRateLimited(conn.clientWs, limited);
+        return;
+    }
+    if (conn.closed) return;
+    conn.tts = tts.settings;
+    conn.protocol = config.protocol || 1;
+    if (config.save_transcript) startTranscriptCapture(connectionId, config);
+    
+    connectToSoniox(connectionId, config);
+    startStreamingMeter(connectionId);
+}
+
+// Charge streaming time against the daily quota every 15s and end the session once it runs out
+function startStreamingMeter(connectionId) {
+    const conn = connections.get(connectionId);
+    if (!conn || conn.streamingTimer || !DAILY_QUOTAS.streaming_minutes) return;
+    
+    conn.streamingSince = Date.now();
+    conn.streamingTimer = setInterval(async () => {
+        const minutes = chargeStreamingTime(conn);
+        if (conn.closed || await recordDailyUsage(conn.userId, 'streaming_minutes', minutes)) return;
+        
+        console.log(`[${connectionId}] Streaming quota exhausted for user ${conn.userId}, closing session`);
+        closeRateLimited(conn.clientWs, {
+            message: 'Daily streaming_minutes quota exceeded',
+            retryAfter: quotaWindow().secondsUntilReset,
+        });
+    }, 15000);
+}
+
+// Minutes streamed since the last charge
+function chargeStreamingTime(conn) {
+    if (!conn.streamingSince) return 0;
+    const now = Date.now();
+    const minutes = (now - conn.streamingSince) / 60000;
+    conn.streamingSince = now;
+    return minutes;
+}
+
+function connectToSoniox(connectionId, config, { resume = false } = {}) {
+    const conn = connections.get(connectionId);
+    if (!conn) {
+        console.log(`[${connectionId}] connectToSoniox: No connection found!`);
+        return;
+    }
+    
+    if (!resume) {
+        // Fresh start - remember the config for transparent reconnects and reset replay state
+        if (conn.reconnectTimer) {
+            clearTimeout(conn.reconnectTimer);
+            conn.reconnectTimer = null;
+        }
+        conn.lastConfig = config;
+        conn.sonioxResumable = false;
+        conn.sonioxFinished = false;
+        conn.lastSonioxErrorCode = null;
+        conn.reconnectAttempts = 0;
+        conn.audioBuffer = [];
+        conn.audioBufferBytes = 0;
+        conn.audioClockMs = 0;
+        conn.upstreamOffsetMs = 0;
+        conn.finalizedAudioMs = 0;
+        
+        // A new start ends the previous session for metering purposes
+        flushSessionUsage(conn);
+        conn.sessionUsage = {
+            startedAt: Date.now(),
+            model: config.model || 'stt-rt-preview',
+            audioBytes: 0,
+            audioMs: 0
+        };
+        conn.fanout = createTranslationFanout(config);
+        conn.speech = { collectors: new Map(), nextSentenceId: 1, queues: new Map() };
+        conn.transcript = createTranscriptState();
+    }
+    
+    // Close existing Soniox connection if any (including one still connecting)
+    if (conn.sonioxSocket) {
+        console.log(`[${connectionId}] Closing existing Soniox connection`);
+        const previous = conn.sonioxSocket;
+        conn.sonioxSocket = null;
+        previous.close();
+    }
+    conn.sonioxWs = null;
+    conn.isReady = false;
+    
+    console.log(`[${connectionId}] 🔗 ${resume ? `Reconnecting to Soniox (attempt ${conn.reconnectAttempts}/${SONIOX_RECONNECT_MAX_ATTEMPTS})` : 'Connecting to Soniox WebSocket'}...`);
+    console.log(`[${connectionId}] Client config:`, JSON.stringify(config).substring(0, 300));
+    
+    // Connect to Soniox (no auth header - API key goes in config JSON per docs)
+    const sonioxWs = new WebSocket('wss://stt-rt.soniox.com/transcribe-websocket');
+    conn.sonioxSocket = sonioxWs;
+    let openedAt = null;
+    let acknowledged = false;
+    
+    sonioxWs.on('open', () => {
+        if (conn.sonioxSocket !== sonioxWs) return; // superseded by a newer start
+        console.log(`[${connectionId}] Connected to Soniox`);
+        conn.sonioxWs = sonioxWs;
+        openedAt = Date.now();
+        
+        // Build Soniox config - API key must be in the JSON config per Soniox docs
+        const sonioxConfig = {
+            api_key: SONIOX_API_KEY,
+            model: config.model || 'stt-rt-preview',
+            audio_format: config.audio_format || 'pcm_s16le',
+            sample_rate: config.sample_rate || 16000,
+            num_channels: config.num_channels || 1,
+            include_nonfinal: config.include_nonfinal !== false,
+            language_hints: config.language_hints || ['en'],
+            // Enable endpoint detection to finalize tokens on speech pauses (reduces hanging)
+            enable_endpoint_detection: config.enable_endpoint_detection !== false,
+            // Reduce max non-final duration for faster translation output (default is ~4000-6000ms)
+            max_non_final_tokens_duration_ms: config.max_non_final_tokens_duration_ms || 4000
+        };
+        
+        // Add translation config if present (fan-out sessions only transcribe - DeepL translates)
+        if (conn.fanout) {
+            console.log(`[${connectionId}] ✅ Translation fan-out - source: ${conn.fanout.sourceLanguage || 'auto'}, targets: [${conn.fanout.targets.join(',')}]`);
+        } else if (config.translation) {
+            const targetLang = config.translation.target_language;
+            const sourceLang = config.translation.source_language;
+            
+            if (!targetLang) {
+                console.error(`[${connectionId}] ⚠️ Translation config missing target_language!`, JSON.stringify(config.translation));
+                console.error(`[${connectionId}] Full config received:`, JSON.stringify(config).substring(0, 500));
+            } else {
+                console.log(`[${connectionId}] ✅ Translation config - source: ${sourceLang || 'auto'}, target: ${targetLang}`);
+                
+                sonioxConfig.translation = {
+                    type: config.translation.type || 'one_way',
+                    target_language: targetLang
+                };
+                // Add source_language if provided (required for translation to work)
+                if (sourceLang) {
+                    sonioxConfig.translation.source_language = sourceLang;
+                }
+                
+                console.log(`[${connectionId}] Final Soniox translation config:`, JSON.stringify(sonioxConfig.translation));
+            }
+        } else {
+            console.log(`[${connectionId}] ⚠️ No translation config provided in config object`);
+            console.log(`[${connectionId}] Config keys:`, Object.keys(config));
+        }
+        
+        // Send config to Soniox
+        sonioxWs.send(JSON.stringify(sonioxConfig));
+        console.log(`[${connectionId}] Sent config to Soniox:`, JSON.stringify(sonioxConfig).substring(0, 300));
+        
+        if (resume) {
+            // Replay audio Soniox never finalized, then let the client know the stream is live again.
+            // Token timestamps in the new upstream session restart at 0 = audio_offset_ms on the client timeline.
+            const replayed = replayBufferedAudio(conn, sonioxWs);
+            console.log(`[${connectionId}] ✅ Soniox session resumed, replayed ${replayed.frames} frames (${replayed.ms}ms)`);
+            sendToClient(conn.clientWs, {
+                type: 'resumed',
+                connection_id: connectionId,
+                attempt: conn.reconnectAttempts,
+                replayed_ms: replayed.ms,
+                audio_offset_ms: conn.upstreamOffsetMs
+            });
+        }
+        
+        // Don't send proxy_ready yet - wait for Soniox to acknowledge
+        // We'll send it after receiving the first message from Soniox
+    });
+    
+    sonioxWs.on('message', (data) => {
+        if (conn.sonioxSocket !== sonioxWs) return;
+        const dataStr = data.toString();
+        console.log(`[${connectionId}] Soniox message:`, dataStr.substring(0, 300));
+        
+        const response = trackSonioxProgress(conn, dataStr);
+        if (conn.fanout && response) collectTranslationTokens(connectionId, conn, response);
+        if (response) collectSpeechTokens(connectionId, conn, response);
+        acknowledged = true;
+        
+        // If this is the first message (status/ack), send proxy_ready
+        if (!conn.isReady) {
+            conn.isReady = true;
+            conn.sonioxResumable = true;
+            conn.reconnectAttempts = 0;
+            if (!resume) {
+                console.log(`[${connectionId}] Soniox acknowledged config, sending proxy_ready to client`);
+                sendToClient(conn.clientWs, {
+                    type: 'proxy_ready',
+                    connection_id: connectionId
+                });
+            }
+        }
+        
+        // Forward Soniox response to client - verbatim, or as normalized events for protocol 2
+        const events = response ? transcriptEvents(conn, response) : [];
+        if (conn.clientWs && conn.clientWs.readyState === WebSocket.OPEN) {
+            if (conn.protocol === 2) {
+                events.forEach(event => sendToClient(conn.clientWs, event));
+            } else {
+                conn.clientWs.send(dataStr);
+                metrics.relayedBytes.inc({ direction: 'soniox_to_client' }, data.length);
+            }
+        }
+        if (conn.role === 'speaker') broadcastToRoom(conn, { message: response, raw: dataStr, events });
+        if (conn.capture) captureTranscript(conn, events);
+    });
+    
+    sonioxWs.on('close', (code, reason) => {
+        // Sockets we replaced or cleaned up ourselves were closed by the proxy, not Soniox
+        const closedByProxy = conn.sonioxSocket !== sonioxWs;
+        const labels = { before_ready: String(!acknowledged), initiator: closedByProxy ? 'proxy' : 'upstream' };
+        metrics.sonioxSessionsClosed.inc({ ...labels, code: String(code) });
+        if (openedAt) metrics.sonioxSessionDuration.observe(labels, (Date.now() - openedAt) / 1000);
+        if (closedByProxy) return;
+        
+        const reasonStr = reason ? reason.toString() : 'No reason provided';
+        console.log(`[${connectionId}] Soniox connection closed: code=${code}, reason="${reasonStr}"`);
+        
+        // Log if this happened before Soniox acknowledged config
+        if (!conn.isReady && !resume) {
+            console.error(`[${connectionId}] ⚠️ Soniox closed BEFORE acknowledging config - likely invalid API key or config`);
+        }
+        
+        conn.sonioxSocket = null;
+        conn.sonioxWs = null;
+        conn.isReady = false;
+        
+        // Upstream blip mid-session - reconnect quietly instead of failing the client
+        if (canReconnectSoniox(conn)) {
+            scheduleSonioxReconnect(connectionId, reasonStr || 'Unknown reason');
+            return;
+        }
+        
+        // Notify client
+        if (conn.clientWs && conn.clientWs.readyState === WebSocket.OPEN) {
+            sendToClient(conn.clientWs, {
+                type: 'error',
+                message: `Soniox connection closed: ${reasonStr || 'Unknown reason'}`,
+                code: code
+            });
+        }
+    });
+    
+    sonioxWs.on('error', (err) => {
+        console.error(`[${connectionId}] Soniox error:`, err.message);
+        if (conn.sonioxSocket !== sonioxWs) return;
+        
+        // A close event always follows - it decides whether to reconnect
+        if (canReconnectSoniox(conn)) return;
+        
+        // Notify client
+        if (conn.clientWs && conn.clientWs.readyState === WebSocket.OPEN) {
+            sendToClient(conn.clientWs, {
+                type: 'error',
+                message: 'Soniox connection error: ' + err.message
+            });
+        }
+    });
+    
+    // Timeout for Soniox connection
+    setTimeout(() => {
+        if (conn.sonioxSocket === sonioxWs && sonioxWs.readyState !== WebSocket.OPEN) {
+            console.log(`[${connectionId}] Soniox connection timeout`);
+            sonioxWs.close();
+            if (!resume) {
+                sendToClient(conn.clientWs, {
+                    type: 'error',
+                    message: 'Soniox connection timeout'
+                });
+            }
+        }
+    }, 10000);
+}
 
-// Create WebSocket server
-const wss = new WebSocketServer({ server });
+// Whether an upstream drop should be retried rather than surfaced to the client.
+// Only sessions Soniox has already accepted are resumed; config/auth rejections are not.
+function canReconnectSoniox(conn) {
+    if (conn.closed || !conn.lastConfig || conn.sonioxFinished) return false;
+    if (!conn.sonioxResumable) return false;
+    if (conn.reconnectAttempts >= SONIOX_RECONNECT_MAX_ATTEMPTS) return false;
+    if (!conn.clientWs || conn.clientWs.readyState !== WebSocket.OPEN) return false;
+    const errorCode = conn.lastSonioxErrorCode;
+    if (errorCode && errorCode >= 400 && errorCode < 500 && errorCode !== 408 && errorCode !== 429) return false;
+    return true;
+}
 
-// Track active connections
-const connections = new Map();
+function scheduleSonioxReconnect(connectionId, reason) {
+    const conn = connections.get(connectionId);
+    if (!conn) return;
+    
+    conn.reconnectAttempts += 1;
+    const backoff = Math.min(SONIOX_RECONNECT_BASE_DELAY_MS * 2 ** (conn.reconnectAttempts - 1), SONIOX_RECONNECT_MAX_DELAY_MS);
+    const delay = backoff + Math.floor(Math.random() * SONIOX_RECONNECT_BASE_DELAY_MS);
+    
+    console.log(`[${connectionId}] 🔄 Soniox dropped (${reason}), reconnecting in ${delay}ms (attempt ${conn.reconnectAttempts}/${SONIOX_RECONNECT_MAX_ATTEMPTS})`);
+    sendToClient(conn.clientWs, {
+        type: 'reconnecting',
+        attempt: conn.reconnectAttempts,
+        max_attempts: SONIOX_RECONNECT_MAX_ATTEMPTS,
+        delay_ms: delay,
+        reason
+    });
+    
+    conn.reconnectTimer = setTimeout(() => {
+        conn.reconnectTimer = null;
+        if (conn.closed || !conn.lastConfig) return;
+        connectToSoniox(connectionId, conn.lastConfig, { resume: true });
+    }, delay);
+}
 
-console.log('Selah Translation Proxy Server starting...');
-console.log(`Port: ${PORT}`);
-console.log(`Supabase URL: ${SUPABASE_URL}`);
-console.log(`Soniox API Key: ${SONIOX_API_KEY ? '✓ configured' : '✗ missing'}`);
-console.log(`OpenAI API Key: ${OPENAI_API_KEY ? '✓ configured' : '✗ missing'}`);
-console.log(`Deepgram API Key: ${DEEPGRAM_API_KEY ? '✓ configured' : '✗ missing'}`);
-console.log(`DeepL Auth Key: ${DEEPL_AUTH_KEY ? '✓ configured' : '✗ missing'}`);
+// Bytes per sample for the raw formats Soniox accepts. Compressed/container formats
+// can't be spliced mid-stream, so they are not replayed.
+const PCM_BYTES_PER_SAMPLE = {
+    'pcm_s8': 1, 'pcm_u8': 1, 'mulaw': 1, 'alaw': 1,
+    'pcm_s16le': 2, 'pcm_s16be': 2, 'pcm_u16le': 2, 'pcm_u16be': 2,
+    'pcm_s32le': 4, 'pcm_s32be': 4, 'pcm_u32le': 4, 'pcm_u32be': 4,
+    'pcm_f32le': 4, 'pcm_f32be': 4,
+    'pcm_f64le': 8, 'pcm_f64be': 8,
+};
 
-wss.on('connection', async (clientWs, req) => {
-    const connectionId = generateConnectionId();
-    console.log(`[${connectionId}] New client connection from ${req.socket.remoteAddress}`);
+function audioBytesPerMs(config) {
+    const bytesPerSample = PCM_BYTES_PER_SAMPLE[config.audio_format || 'pcm_s16le'];
+    if (!bytesPerSample) return null;
+    return (config.sample_rate || 16000) * (config.num_channels || 1) * bytesPerSample / 1000;
+}
+
+// Append a client audio frame to the bounded replay ring buffer
+function bufferAudio(conn, data) {
+    if (!conn.lastConfig || !data || data.length === 0) return;
+    const bytesPerMs = audioBytesPerMs(conn.lastConfig);
+    if (!bytesPerMs) return;
     
-    // Parse auth token from query string (standard for WebSocket auth over wss://).
-    // The connection is TLS-encrypted end-to-end so the token is not exposed in transit.
-    // Sec-WebSocket-Protocol headers are stripped by DigitalOcean/Cloudflare reverse proxies.
-    let token = null;
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    token = url.searchParams.get('token');
+    const startMs = conn.audioClockMs;
+    conn.audioClockMs += data.length / bytesPerMs;
+    conn.audioBuffer.push({ data, startMs, endMs: conn.audioClockMs });
+    conn.audioBufferBytes += data.length;
     
-    // Fallback: try Sec-WebSocket-Protocol header (for direct connections without reverse proxy)
-    if (!token) {
-        const protocols = req.headers['sec-websocket-protocol'];
-        if (protocols) {
-            const protocolParts = protocols.split(',').map(p => p.trim());
-            const bearerProtocol = protocolParts.find(p => p.startsWith('Bearer.'));
-            if (bearerProtocol) {
-                token = bearerProtocol.replace('Bearer.', '');
-            }
-        }
+    const maxBytes = SONIOX_REPLAY_BUFFER_SECONDS * 1000 * bytesPerMs;
+    while (conn.audioBufferBytes > maxBytes && conn.audioBuffer.length > 1) {
+        conn.audioBufferBytes -= conn.audioBuffer.shift().data.length;
+    }
+}
+
+// Send every buffered frame Soniox hadn't finalized yet into the new upstream session
+function replayBufferedAudio(conn, sonioxWs) {
+    const frames = conn.audioBuffer.filter(frame => frame.endMs > conn.finalizedAudioMs);
+    conn.upstreamOffsetMs = frames.length > 0 ? frames[0].startMs : conn.audioClockMs;
+    conn.finalizedAudioMs = conn.upstreamOffsetMs;
+    for (const frame of frames) {
+        sonioxWs.send(frame.data);
+        meterAudioSent(conn, frame.data);
+        metrics.relayedBytes.inc({ direction: 'client_to_soniox' }, frame.data.length);
     }
+    return {
+        frames: frames.length,
+        ms: Math.round(conn.audioClockMs - conn.upstreamOffsetMs)
+    };
+}
+
+// Count audio actually sent upstream (replays included - Soniox bills those too)
+function meterAudioSent(conn, data) {
+    if (!conn.sessionUsage || !data) return;
+    conn.sessionUsage.audioBytes += data.length;
+    const bytesPerMs = conn.lastConfig ? audioBytesPerMs(conn.lastConfig) : null;
+    if (bytesPerMs) conn.sessionUsage.audioMs += data.length / bytesPerMs;
+}
+
+function flushSessionUsage(conn) {
+    flushTranslationUsage(conn, conn.fanout);
     
-    if (!token) {
-        console.log(`[${connectionId}] No token provided, closing connection`);
-        sendError(clientWs, 'Unauthorized: No token provided', 401);
-        clientWs.close(1008, 'Unauthorized');
-        return;
+    const usage = conn.sessionUsage;
+    if (!usage) return;
+    conn.sessionUsage = null;
+    recordUsage({
+        userId: conn.userId,
+        route: 'soniox_ws',
+        provider: 'soniox',
+        model: usage.model,
+        audioSeconds: usage.audioMs / 1000,
+        bytes: usage.audioBytes,
+        durationMs: Date.now() - usage.startedAt,
+    });
+}
+
+function flushTranslationUsage(conn, fanout) {
+    if (!fanout || fanout.characters === 0) return;
+    recordUsage({
+        userId: conn.userId,
+        route: 'soniox_ws_translation',
+        provider: 'deepl',
+        characters: fanout.characters,
+        durationMs: Date.now() - fanout.startedAt,
+    });
+    fanout.characters = 0;
+}
+
+// Track how far Soniox has finalized, end-of-stream and error codes from upstream responses
+function trackSonioxProgress(conn, dataStr) {
+    let response;
+    try { response = JSON.parse(dataStr); } catch (e) { return null; }
+    
+    if (typeof response.final_audio_proc_ms === 'number') {
+        conn.finalizedAudioMs = conn.upstreamOffsetMs + response.final_audio_proc_ms;
+    }
+    if (response.finished) {
+        conn.sonioxFinished = true;
+    }
+    if (response.error_code) {
+        conn.lastSonioxErrorCode = response.error_code;
+    }
+    return response;
+}
+
+// Protocol 2 state: the finalized text of the open segment and of each translation language.
+// Non-final tokens are re-sent by Soniox with every response, so they are never stored.
+function createTranscriptState() {
+    return {
+        segment: { id: 1, text: '', startMs: null, endMs: null, language: null },
+        partial: '',
+        translations: new Map(),
+        nextTranslationId: 1
+    };
+}
+
+// Turn one raw Soniox response into protocol 2 events:
+//   partial              - open segment text (finalized + still changing), sent when it changes
+//   final_segment        - a closed segment; its text will not change again
+//   translation_segment  - finalized translation text, per target language
+//   endpoint             - Soniox detected a pause (<end>) or completed a finalize (<fin>)
+//   session_finished     - Soniox finished the stream
+// Times are milliseconds on the client's audio timeline.
+function transcriptEvents(conn, response) {
+    const state = conn.transcript;
+    if (!state) return [];
+    const events = [];
+    const offset = conn.upstreamOffsetMs;
+    const at = (ms) => typeof ms === 'number' ? Math.round(offset + ms) : null;
+    
+    if (response.error_code) {
+        events.push({ type: 'error', code: response.error_code, message: response.error_message || 'Soniox error' });
     }
     
-    // Verify JWT with Supabase
-    try {
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+    let unstable = '';
+    let unstableStartMs = null;
+    for (const token of response.tokens || []) {
+        if (isControlToken(token)) {
+            if (!token.is_final) continue;
+            closeTranscriptSegment(state, events);
+            flushTranscriptTranslations(state, events);
+            events.push({ type: 'endpoint', reason: token.text === '<end>' ? 'endpoint' : 'finalize', audio_ms: at(token.end_ms ?? token.start_ms) });
+            continue;
+        }
         
-        if (error || !user) {
-            console.log(`[${connectionId}] Auth failed: ${error?.message || 'Invalid token'}`);
-            sendError(clientWs, 'Unauthorized: Invalid token', 401);
-            clientWs.close(1008, 'Unauthorized');
-            return;
+        if (token.translation_status === 'translation') {
+            // Only finalized translation text is surfaced - partial translations churn too much
+            if (!token.is_final) continue;
+            const language = token.language || conn.lastConfig?.translation?.target_language || null;
+            const pending = state.translations.get(language) || { text: '', startMs: null, endMs: null };
+            pending.text += token.text;
+            if (pending.startMs === null) pending.startMs = at(token.start_ms);
+            pending.endMs = at(token.end_ms) ?? pending.endMs;
+            state.translations.set(language, pending);
+            if (endsSegment(token, pending.text)) {
+                flushTranscriptTranslation(state, events, language);
+            }
+            continue;
         }
         
-        // Log authentication success without exposing full email (redact for privacy)
-        const emailHint = user.email ? user.email.substring(0, 3) + '***' : 'unknown';
-        console.log(`[${connectionId}] User authenticated: ${user.id} (${emailHint})`);
-    } catch (err) {
-        console.error(`[${connectionId}] Auth error:`, err.message);
-        sendError(clientWs, 'Authentication error', 500);
-        clientWs.close(1011, 'Auth error');
-        return;
+        if (!token.is_final) {
+            unstable += token.text;
+            if (unstableStartMs === null) unstableStartMs = at(token.start_ms);
+            continue;
+        }
+        const segment = state.segment;
+        segment.text += token.text;
+        if (segment.startMs === null) segment.startMs = at(token.start_ms);
+        segment.endMs = at(token.end_ms) ?? segment.endMs;
+        segment.language = segment.language || token.language || null;
+        if (endsSegment(token, segment.text)) {
+            closeTranscriptSegment(state, events);
+        }
     }
     
-    // Store connection info
-    const connectionInfo = {
-        clientWs,
-        sonioxWs: null,
-        connectionId,
-        isReady: false
-    };
-    connections.set(connectionId, connectionInfo);
-    
-    // Send immediate acknowledgment so client knows auth passed and server is ready
-    console.log(`[${connectionId}] Auth complete, sending auth_success to client`);
-    sendToClient(clientWs, {
-        type: 'auth_success',
-        message: 'Authenticated, ready for start message',
-        connectionId: connectionId
-    });
-    
-    // Handle messages from client
-    clientWs.on('message', (data, isBinary) => {
-        console.log(`[${connectionId}] Received message: isBinary=${isBinary}, type=${typeof data}, length=${data?.length || 0}`);
-        handleClientMessage(connectionId, data, isBinary);
-    });
+    // The open segment's text as the user currently sees it
+    const text = (state.segment.text + unstable).trim();
+    if (text !== state.partial) {
+        state.partial = text;
+        if (text) {
+            events.push({
+                type: 'partial',
+                segment_id: state.segment.id,
+                language: state.segment.language,
+                text,
+                stable_text: state.segment.text.trim(),
+                start_ms: state.segment.startMs ?? unstableStartMs
+            });
+        }
+    }
     
-    // Handle client disconnect
-    clientWs.on('close', (code, reason) => {
-        console.log(`[${connectionId}] Client disconnected: ${code} ${reason?.toString() || ''}`);
-        cleanupConnection(connectionId);
+    if (response.finished) {
+        closeTranscriptSegment(state, events);
+        flushTranscriptTranslations(state, events);
+        events.push({ type: 'session_finished', audio_ms: at(response.final_audio_proc_ms) });
+    }
+    return events;
+}
+
+function closeTranscriptSegment(state, events) {
+    const segment = state.segment;
+    const text = segment.text.trim();
+    if (!text) return;
+    events.push({
+        type: 'final_segment',
+        segment_id: segment.id,
+        language: segment.language,
+        text,
+        start_ms: segment.startMs,
+        end_ms: segment.endMs
     });
-    
-    clientWs.on('error', (err) => {
-        console.error(`[${connectionId}] Client WebSocket error:`, err.message);
-        cleanupConnection(connectionId);
+    state.segment = { id: segment.id + 1, text: '', startMs: null, endMs: null, language: null };
+    state.partial = '';
+}
+
+function flushTranscriptTranslation(state, events, language) {
+    const pending = state.translations.get(language);
+    state.translations.delete(language);
+    const text = pending?.text.trim();
+    if (!text) return;
+    events.push({
+        type: 'translation_segment',
+        segment_id: state.nextTranslationId++,
+        language,
+        text,
+        start_ms: pending.startMs,
+        end_ms: pending.endMs
     });
-});
+}
 
-function handleClientMessage(connectionId, data, isBinary) {
+function flushTranscriptTranslations(state, events) {
+    for (const language of [...state.translations.keys()]) {
+        flushTranscriptTranslation(state, events, language);
+    }
+}
+
+// Protocol 2 form of a DeepL fan-out `translation` message
+function translationSegmentEvent(message) {
+    return {
+        type: 'translation_segment',
+        segment_id: message.segment_id,
+        language: message.target_language,
+        source_language: message.source_language,
+        source_text: message.original_text,
+        start_ms: message.start_ms,
+        end_ms: message.end_ms,
+        ...(message.error ? { error: message.error } : { text: message.text })
+    };
+}
+
+// Record this connection's finalized text from its first save_transcript start until it closes.
+// Later starts (e.g. a language switch) keep adding to the same transcript.
+function startTranscriptCapture(connectionId, config) {
     const conn = connections.get(connectionId);
-    if (!conn) {
-        console.log(`[${connectionId}] No connection found for message`);
+    if (!conn) return;
+    if (!conn.capture) {
+        conn.capture = {
+            id: randomUUID(),
+            userId: conn.userId,
+            roomId: conn.roomId,
+            startedAt: new Date().toISOString(),
+            model: config.model || 'stt-rt-preview',
+            sourceLanguage: config.translation?.source_language || config.source_language || null,
+            targetLanguages: new Set(),
+            segments: []
+        };
+        console.log(`[${connectionId}] Recording transcript ${conn.capture.id}`);
+    }
+    for (const lang of translationTargets(config) || [config.translation?.target_language]) {
+        if (lang) conn.capture.targetLanguages.add(lang);
+    }
+    sendToClient(conn.clientWs, { type: 'transcript_started', transcript_id: conn.capture.id });
+}
+
+// Keep final_segment / translation_segment events (partials are never stored)
+function captureTranscript(conn, events) {
+    const segments = conn.capture.segments;
+    for (const segment of transcriptSegments(events)) {
+        if (segments.length >= TRANSCRIPT_MAX_SEGMENTS) return;
+        segments.push(segment);
+    }
+}
+
+// Stored segment form of final_segment / translation_segment events
+function transcriptSegments(events) {
+    return events
+        .filter(event => (event.type === 'final_segment' || event.type === 'translation_segment') && !event.error)
+        .map(event => ({
+            type: event.type === 'final_segment' ? 'original' : 'translation',
+            language: event.language,
+            text: event.text,
+            start_ms: event.start_ms,
+            end_ms: event.end_ms
+        }));
+}
+
+// <end> (endpoint detected) and <fin> (manual finalize done) mark boundaries rather than text
+function isControlToken(token) {
+    return token.text === '<end>' || token.text === '<fin>';
+}
+
+// Segments end at sentence-ending punctuation or once they grow past TRANSLATION_SEGMENT_MAX_CHARS
+function endsSegment(token, bufferedText) {
+    return /[.!?。！？]\s*$/.test(token.text) || bufferedText.length >= TRANSLATION_SEGMENT_MAX_CHARS;
+}
+
+// Start options for DeepL fan-out: `target_languages: [...]` at the top level or inside `translation`
+function translationTargets(config) {
+    const targets = config.target_languages || config.translation?.target_languages;
+    return Array.isArray(targets) ? targets : null;
+}
+
+// Returns null, or the { message, code } error to send back for an unusable target list
+function checkTranslationTargets(targets) {
+    if (!DEEPL_AUTH_KEY) {
+        return { message: 'Multi-target translation not configured', code: 503 };
+    }
+    if (targets.length === 0 || targets.length > MAX_TRANSLATION_TARGETS
+        || !targets.every(lang => typeof lang === 'string' && lang)) {
+        return { message: `target_languages must list 1-${MAX_TRANSLATION_TARGETS} language codes`, code: 400 };
+    }
+    const unsupported = targets.filter(lang => DEEPL_UNSUPPORTED.has(lang));
+    if (unsupported.length > 0) {
+        return { message: `Languages not supported for multi-target translation: ${unsupported.join(', ')}`, code: 400 };
+    }
+    return null;
+}
+
+function createTranslationFanout(config) {
+    const targets = translationTargets(config);
+    if (!targets) return null;
+    return {
+        targets: [...new Set(targets)],
+        sourceLanguage: config.translation?.source_language || config.source_language || null,
+        // Finalized source text not yet translated, on the client's audio timeline
+        text: '',
+        startMs: null,
+        endMs: null,
+        nextSegmentId: 1,
+        // Segments are translated one after another so the client receives them in order
+        queue: Promise.resolve(),
+        startedAt: Date.now(),
+        characters: 0,
+        quotaExceeded: false
+    };
+}
+
+// Gather finalized source tokens and cut a segment at each endpoint (<end>), manual
+// finalize (<fin>), sentence end or TRANSLATION_SEGMENT_MAX_CHARS
+function collectTranslationTokens(connectionId, conn, response) {
+    const fanout = conn.fanout;
+    for (const token of response.tokens || []) {
+        if (!token.is_final || token.translation_status === 'translation') continue;
+        if (isControlToken(token)) {
+            flushTranslationSegment(connectionId, conn);
+            continue;
+        }
+        if (fanout.startMs === null) fanout.startMs = conn.upstreamOffsetMs + (token.start_ms || 0);
+        fanout.endMs = conn.upstreamOffsetMs + (token.end_ms || 0);
+        fanout.text += token.text;
+        if (endsSegment(token, fanout.text)) {
+            flushTranslationSegment(connectionId, conn);
+        }
+    }
+    if (response.finished) {
+        flushTranslationSegment(connectionId, conn);
+    }
+}
+
+function flushTranslationSegment(connectionId, conn) {
+    const fanout = conn.fanout;
+    const segment = {
+        id: fanout.nextSegmentId,
+        text: fanout.text.trim(),
+        startMs: fanout.startMs,
+        endMs: fanout.endMs
+    };
+    fanout.text = '';
+    fanout.startMs = null;
+    fanout.endMs = null;
+    if (!segment.text || fanout.quotaExceeded) return;
+    
+    fanout.nextSegmentId += 1;
+    fanout.queue = fanout.queue
+        .then(() => translateSegment(connectionId, conn, fanout, segment))
+        .catch(err => console.error(`[${connectionId}] Translation fan-out error:`, err.message));
+}
+
+// Translate one segment into every target and send one `translation` message per language
+async function translateSegment(connectionId, conn, fanout, segment) {
+    if (conn.closed || conn.fanout !== fanout) return;
+    
+    const results = await Promise.all(fanout.targets.map(targetLang =>
+        translateWithDeepl('websocket', segment.text, targetLang, fanout.sourceLanguage)));
+    // Translation memory hits cost nothing upstream, so they aren't billed
+    const translatedCount = results.filter(result => !result.error && !result.cached).length;
+    fanout.characters += segment.text.length * translatedCount;
+    const withinQuota = await recordDailyUsage(conn.userId, 'deepl_chars', segment.text.length * translatedCount);
+    if (conn.closed || conn.fanout !== fanout) {
+        // The session's usage was already flushed - record this late segment on its own
+        flushTranslationUsage(conn, fanout);
         return;
     }
     
-    // Convert data to string for inspection
-    const dataStr = data.toString();
+    fanout.targets.forEach((targetLang, i) => {
+        const result = results[i];
+        const message = {
+            type: 'translation',
+            segment_id: segment.id,
+            target_language: targetLang,
+            source_language: fanout.sourceLanguage || result.detected_source || null,
+            original_text: segment.text,
+            start_ms: Math.round(segment.startMs),
+            end_ms: Math.round(segment.endMs),
+            ...(result.error ? { error: result.error } : { text: result.text })
+        };
+        const event = translationSegmentEvent(message);
+        sendToClient(conn.clientWs, conn.protocol === 2 ? event : message);
+        if (conn.role === 'speaker') broadcastToRoom(conn, { message, events: [event] });
+        if (conn.capture) captureTranscript(conn, [event]);
+        if (!result.error) speakSentence(connectionId, conn, result.text, targetLang);
+    });
     
-    // Check if it looks like JSON (starts with { or [)
-    const looksLikeJson = dataStr.startsWith('{') || dataStr.startsWith('[');
+    // The transcript keeps flowing when the DeepL quota runs out - only translation stops
+    if (!withinQuota && !fanout.quotaExceeded) {
+        fanout.quotaExceeded = true;
+        console.log(`[${connectionId}] DeepL quota exhausted for user ${conn.userId}, pausing translation`);
+        sendToClient(conn.clientWs, {
+            type: 'error',
+            message: 'Daily deepl_chars quota exceeded - translation paused',
+            code: 429,
+            retry_after: quotaWindow().secondsUntilReset
+        });
+    }
+}
+
+function cleanupConnection(connectionId) {
+    const conn = connections.get(connectionId);
+    if (!conn) return;
     
-    // If binary audio data (not JSON), forward to Soniox
-    if (isBinary && !looksLikeJson) {
-        if (conn.sonioxWs && conn.sonioxWs.readyState === WebSocket.OPEN) {
-            conn.sonioxWs.send(data);
-            // Don't log every audio packet to reduce noise
-        } else {
-            // Silently drop audio if Soniox not connected yet
-        }
-        return;
+    console.log(`[${connectionId}] Cleaning up connection`);
+    conn.closed = true;
+    if (conn.roomId) leaveRoom(conn);
+    
+    // Charge the last partial interval of streaming time
+    if (conn.streamingTimer) {
+        clearInterval(conn.streamingTimer);
+        conn.streamingTimer = null;
+        recordDailyUsage(conn.userId, 'streaming_minutes', chargeStreamingTime(conn));
     }
     
-    // Parse JSON message
-    let message;
-    try {
-        message = JSON.parse(dataStr);
-        console.log(`[${connectionId}] Parsed JSON message:`, JSON.stringify(message).substring(0, 200));
-    } catch (err) {
-        console.log(`[${connectionId}] Failed to parse JSON: ${err.message}`);
-        console.log(`[${connectionId}] Raw data (first 200 chars):`, dataStr.substring(0, 200));
-        return;
+    flushSessionUsage(conn);
+    clearAuthTimers(conn);
+    if (conn.capture) {
+        saveTranscript(conn.capture);
+        conn.capture = null;
     }
     
-    // Handle ping/keepalive
-    if (message.type === 'ping') {
-        console.log(`[${connectionId}] Received ping, sending pong`);
-        sendToClient(conn.clientWs, {
-            type: 'pong',
-            ref: message.ref || 0,
-            timestamp: Date.now()
-        });
-        return;
+    // Cancel any pending upstream reconnect
+    if (conn.reconnectTimer) {
+        clearTimeout(conn.reconnectTimer);
+        conn.reconnectTimer = null;
     }
     
-    // Handle start action - connect to Soniox
-    if (message.action === 'start') {
-        console.log(`[${connectionId}] ✅ Received START action - connecting to Soniox...`);
-        const configToUse = message.config || message;
-        const translation = configToUse.translation || {};
-        console.log(`[${connectionId}] Config structure:`, JSON.stringify({
-            hasTranslation: !!configToUse.translation,
-            translation: translation,
-            targetLang: translation.target_language,
-            sourceLang: translation.source_language
-        }));
-        connectToSoniox(connectionId, configToUse);
-        return;
+    // Close Soniox connection (including one still connecting)
+    if (conn.sonioxSocket) {
+        const sonioxWs = conn.sonioxSocket;
+        conn.sonioxSocket = null;
+        sonioxWs.close();
     }
     
-    // Handle finalize message - flush pending tokens before language switch
-    if (message.type === 'finalize') {
-        console.log(`[${connectionId}] 📝 Received FINALIZE - flushing pending tokens...`);
-        if (conn.sonioxWs && conn.sonioxWs.readyState === WebSocket.OPEN) {
-            // Forward finalize message to Soniox
-            conn.sonioxWs.send(JSON.stringify(message));
-            console.log(`[${connectionId}] Finalize message forwarded to Soniox`);
-        } else {
-            console.log(`[${connectionId}] Cannot finalize - Soniox not connected`);
-        }
-        return;
+    // Close client connection
+    if (conn.clientWs && conn.clientWs.readyState !== WebSocket.CLOSED) {
+        conn.clientWs.close();
     }
     
-    // Forward other messages to Soniox
-    console.log(`[${connectionId}] Forwarding message to Soniox:`, JSON.stringify(message).substring(0, 100));
-    if (conn.sonioxWs && conn.sonioxWs.readyState === WebSocket.OPEN) {
-        conn.sonioxWs.send(JSON.stringify(message));
-    } else {
-        console.log(`[${connectionId}] Cannot forward - Soniox not connected (state: ${conn.sonioxWs?.readyState})`);
+    connections.delete(connectionId);
+}
+
+// Validate live TTS options ({ provider, model, voice, format, language }) against the plan.
+// Returns { settings } (null when TTS is off) or { error }.
+function parseLiveTts(plan, options, defaultLanguage) {
+    if (!options) return { settings: null };
+    const providerName = options.provider || LIVE_TTS_PROVIDER;
+    const provider = TTS_PROVIDERS[providerName];
+    if (!provider) {
+        return { error: { message: `Unknown TTS provider: ${providerName}`, code: 400 } };
+    }
+    if (!provider.configured()) {
+        return { error: { message: `Live TTS provider ${providerName} not configured`, code: 503 } };
+    }
+    
+    const model = options.model || provider.defaults.model;
+    const settings = {
+        provider: providerName,
+        model,
+        voice: provider.defaults.voice === null ? model : options.voice || provider.defaults.voice,
+        format: options.format || provider.defaults.format,
+        // Only translations into this language are spoken (null = every language)
+        language: options.language || defaultLanguage || null
+    };
+    if (!Object.hasOwn(provider.contentTypes, settings.format)) {
+        return { error: { message: `Format '${settings.format}' not supported by ${providerName} (use one of: ${Object.keys(provider.contentTypes).join(', ')})`, code: 400 } };
     }
+    const denied = checkEntitlements(plan, [['tts_models', settings.model], ['tts_voices', settings.voice]]);
+    if (denied) {
+        return { error: { message: denied.message, code: 403, reason: denied.reason } };
+    }
+    return { settings };
 }
 
-function connectToSoniox(connectionId, config) {
+// Listeners opt in (or out, with tts: null) at any time; they hear the room in their own language
+function setListenerTts(connectionId, options) {
     const conn = connections.get(connectionId);
-    if (!conn) {
-        console.log(`[${connectionId}] connectToSoniox: No connection found!`);
+    if (!conn) return;
+    const tts = parseLiveTts(conn.plan, options, conn.language);
+    if (tts.error) {
+        sendToClient(conn.clientWs, { type: 'error', ...tts.error });
         return;
     }
+    conn.tts = tts.settings;
+    console.log(`[${connectionId}] Listener live TTS ${conn.tts ? `on (${conn.tts.provider}/${conn.tts.voice}, ${conn.tts.language || 'all languages'})` : 'off'}`);
+    sendToClient(conn.clientWs, { type: 'tts_set', tts: conn.tts });
+}
+
+// Gather finalized Soniox translation tokens into sentences, one buffer per language
+function collectSpeechTokens(connectionId, conn, response) {
+    const speech = conn.speech;
+    if (!speech) return;
+    for (const token of response.tokens || []) {
+        if (!token.is_final) continue;
+        if (isControlToken(token)) {
+            flushSpeechSentences(connectionId, conn);
+            continue;
+        }
+        if (token.translation_status !== 'translation') continue;
+        
+        const language = token.language || conn.lastConfig?.translation?.target_language || null;
+        const text = (speech.collectors.get(language) || '') + token.text;
+        speech.collectors.set(language, text);
+        if (endsSegment(token, text)) {
+            speech.collectors.delete(language);
+            speakSentence(connectionId, conn, text.trim(), language);
+        }
+    }
+    if (response.finished) {
+        flushSpeechSentences(connectionId, conn);
+    }
+}
+
+function flushSpeechSentences(connectionId, conn) {
+    const collectors = conn.speech.collectors;
+    conn.speech.collectors = new Map();
+    for (const [language, text] of collectors) {
+        speakSentence(connectionId, conn, text.trim(), language);
+    }
+}
+
+// The session's own client plus, for a speaker, every listener that turned TTS on
+function speechConsumers(conn) {
+    const consumers = conn.tts && conn.role !== 'listener' ? [conn] : [];
+    const room = conn.role === 'speaker' ? rooms.get(conn.roomId) : null;
+    if (room && room.speakerId === conn.connectionId) {
+        for (const listenerId of room.listeners) {
+            const listener = connections.get(listenerId);
+            if (listener?.tts) consumers.push(listener);
+        }
+    }
+    return consumers;
+}
+
+// Synthesize a sentence once per distinct provider/model/voice/format among the consumers
+// that want this language. Each voice has its own queue so its sentences play in order.
+function speakSentence(connectionId, conn, text, language) {
+    if (!text || !conn.speech) return;
     
-    // Close existing Soniox connection if any
-    if (conn.sonioxWs) {
-        console.log(`[${connectionId}] Closing existing Soniox connection`);
-        conn.sonioxWs.close();
-        conn.sonioxWs = null;
+    const groups = new Map();
+    for (const consumer of speechConsumers(conn)) {
+        if (consumer.tts.language && consumer.tts.language !== language) continue;
+        const key = [consumer.tts.provider, consumer.tts.model, consumer.tts.voice, consumer.tts.format].join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(consumer);
     }
+    if (groups.size === 0) return;
     
-    console.log(`[${connectionId}] 🔗 Connecting to Soniox WebSocket...`);
-    console.log(`[${connectionId}] Client config:`, JSON.stringify(config).substring(0, 300));
+    const speech = conn.speech;
+    const sentence = { id: speech.nextSentenceId++, text, language };
+    for (const [key, consumers] of groups) {
+        const settings = consumers[0].tts;
+        const queued = (speech.queues.get(key) || Promise.resolve())
+            .then(() => synthesizeLiveSentence(connectionId, conn, consumers, settings, sentence))
+            .catch(err => console.error(`[${connectionId}] Live TTS error:`, err.message));
+        speech.queues.set(key, queued);
+    }
+}
+
+// Stream one sentence's audio to its consumers: a tts_start message, binary frames of
+// [4-byte big-endian sentence id][audio bytes], then tts_end. If the session's own client
+// hears this voice, the owner's tts_chars quota pays once however many listeners share it.
+// A voice that only listeners picked is charged to each of those listeners instead.
+async function synthesizeLiveSentence(connectionId, conn, consumers, settings, sentence) {
+    let audience = consumers;
+    const listening = () => audience.filter(consumer => !consumer.closed && consumer.tts);
+    if (listening().length === 0) return;
     
-    // Connect to Soniox (no auth header - API key goes in config JSON per docs)
-    const sonioxWs = new WebSocket('wss://stt-rt.soniox.com/transcribe-websocket');
+    const charged = [];
+    const payers = consumers.includes(conn) ? [conn] : listening();
+    for (const payer of payers) {
+        const quotaExceeded = await consumeDailyQuota(payer.userId, 'tts_chars', sentence.text.length);
+        if (!quotaExceeded) {
+            charged.push(payer);
+            continue;
+        }
+        const refused = payer === conn ? listening() : [payer];
+        refused.forEach(consumer => sendToClient(consumer.clientWs, {
+            type: 'tts_error', sentence_id: sentence.id, message: quotaExceeded.message, code: 429
+        }));
+        audience = audience.filter(consumer => !refused.includes(consumer));
+    }
+    if (listening().length === 0) {
+        charged.forEach(payer => recordDailyUsage(payer.userId, 'tts_chars', -sentence.text.length));
+        return;
+    }
     
-    sonioxWs.on('open', () => {
-        console.log(`[${connectionId}] Connected to Soniox`);
-        conn.sonioxWs = sonioxWs;
+    const startedAt = Date.now();
+    const usage = { userId: conn.userId, route: 'live_tts', provider: settings.provider, model: settings.model, characters: sentence.text.length };
+    const refund = () => charged.forEach(payer => recordDailyUsage(payer.userId, 'tts_chars', -sentence.text.length));
+    const fail = (status, detail) => {
+        console.error(`[${connectionId}] Live TTS error:`, status, detail);
+        refund();
+        recordUsage({ ...usage, durationMs: Date.now() - startedAt, status: 'upstream_error' });
+        listening().forEach(consumer => sendToClient(consumer.clientWs, {
+            type: 'tts_error', sentence_id: sentence.id, message: `${settings.provider} TTS failed`, code: status
+        }));
+    };
+    
+    // Once nobody is left to hear the sentence, stop synthesizing (and paying for) it
+    const abort = new AbortController();
+    const onLeave = () => {
+        if (!listening().some(consumer => consumer.clientWs.readyState === WebSocket.OPEN)) abort.abort();
+    };
+    audience.forEach(consumer => consumer.clientWs.on('close', onLeave));
+    try {
+        let response;
+        try {
+            response = await TTS_PROVIDERS[settings.provider].request('websocket', { ...settings, text: sentence.text, signal: abort.signal });
+        } catch (err) {
+            if (!abort.signal.aborted) {
+                fail(err.status || 502, err.message);
+                return;
+            }
+            refund();
+            recordUsage({ ...usage, characters: 0, durationMs: Date.now() - startedAt, status: 'client_closed' });
+            return;
+        }
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            fail(response.status, errorText.substring(0, 200));
+            return;
+        }
         
-        // Build Soniox config - API key must be in the JSON config per Soniox docs
-        const sonioxConfig = {
-            api_key: SONIOX_API_KEY,
-            model: config.model || 'stt-rt-preview',
-            audio_format: config.audio_format || 'pcm_s16le',
-            sample_rate: config.sample_rate || 16000,
-            num_channels: config.num_channels || 1,
-            include_nonfinal: config.include_nonfinal !== false,
-            language_hints: config.language_hints || ['en'],
-            // Enable endpoint detection to finalize tokens on speech pauses (reduces hanging)
-            enable_endpoint_detection: config.enable_endpoint_detection !== false,
-            // Reduce max non-final duration for faster translation output (default is ~4000-6000ms)
-            max_non_final_tokens_duration_ms: config.max_non_final_tokens_duration_ms || 4000
+        const start = {
+            type: 'tts_start',
+            sentence_id: sentence.id,
+            language: sentence.language,
+            text: sentence.text,
+            content_type: ttsContentType(settings.provider, settings.format)
         };
+        listening().forEach(consumer => sendToClient(consumer.clientWs, start));
         
-        // Add translation config if present
-        if (config.translation) {
-            const targetLang = config.translation.target_language;
-            const sourceLang = config.translation.source_language;
-            
-            if (!targetLang) {
-                console.error(`[${connectionId}] ⚠️ Translation config missing target_language!`, JSON.stringify(config.translation));
-                console.error(`[${connectionId}] Full config received:`, JSON.stringify(config).substring(0, 500));
-            } else {
-                console.log(`[${connectionId}] ✅ Translation config - source: ${sourceLang || 'auto'}, target: ${targetLang}`);
-                
-                sonioxConfig.translation = {
-                    type: config.translation.type || 'one_way',
-                    target_language: targetLang
-                };
-                // Add source_language if provided (required for translation to work)
-                if (sourceLang) {
-                    sonioxConfig.translation.source_language = sourceLang;
+        const prefix = Buffer.alloc(4);
+        prefix.writeUInt32BE(sentence.id);
+        let bytes = 0;
+        const reader = response.body.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                bytes += value.byteLength;
+                const frame = Buffer.concat([prefix, Buffer.from(value)]);
+                for (const consumer of listening()) {
+                    if (consumer.clientWs.readyState !== WebSocket.OPEN) continue;
+                    if (consumer.role === 'listener' && dropSlowListener(consumer)) continue;
+                    consumer.clientWs.send(frame);
+                    metrics.relayedBytes.inc({ direction: 'tts_to_client' }, frame.length);
                 }
-                
-                console.log(`[${connectionId}] Final Soniox translation config:`, JSON.stringify(sonioxConfig.translation));
+                // Everyone may have turned TTS off meanwhile
+                onLeave();
+                if (abort.signal.aborted) break;
             }
-        } else {
-            console.log(`[${connectionId}] ⚠️ No translation config provided in config object`);
-            console.log(`[${connectionId}] Config keys:`, Object.keys(config));
+        } catch (streamErr) {
+            if (!abort.signal.aborted) console.error(`[${connectionId}] Live TTS stream error:`, streamErr.message);
         }
+        if (abort.signal.aborted) reader.cancel().catch(() => {});
         
-        // Send config to Soniox
-        sonioxWs.send(JSON.stringify(sonioxConfig));
-        console.log(`[${connectionId}] Sent config to Soniox:`, JSON.stringify(sonioxConfig).substring(0, 300));
-        
-        // Don't send proxy_ready yet - wait for Soniox to acknowledge
-        // We'll send it after receiving the first message from Soniox
-    });
-    
-    sonioxWs.on('message', (data) => {
-        const dataStr = data.toString();
-        console.log(`[${connectionId}] Soniox message:`, dataStr.substring(0, 300));
-        
-        // If this is the first message (status/ack), send proxy_ready
-        if (!conn.isReady) {
-            conn.isReady = true;
-            console.log(`[${connectionId}] Soniox acknowledged config, sending proxy_ready to client`);
-            sendToClient(conn.clientWs, {
-                type: 'proxy_ready',
-                connection_id: connectionId
-            });
+        listening().forEach(consumer => sendToClient(consumer.clientWs, { type: 'tts_end', sentence_id: sentence.id, bytes }));
+        recordUsage({ ...usage, bytes, durationMs: Date.now() - startedAt, ...(abort.signal.aborted ? { status: 'client_closed' } : {}) });
+    } finally {
+        audience.forEach(consumer => consumer.clientWs.off('close', onLeave));
+    }
+}
+
+// Validate the room query parameters. Without `room` this is a plain one-to-one session.
+function parseRoomParams(searchParams) {
+    const roomId = searchParams.get('room');
+    const role = searchParams.get('role');
+    if (!roomId) {
+        return role ? { error: 'role requires a room' } : { role: null, roomId: null, language: null };
+    }
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(roomId)) {
+        return { error: 'Invalid room id (1-64 letters, digits, - or _)' };
+    }
+    if (role !== 'speaker' && role !== 'listener') {
+        return { error: "role must be 'speaker' or 'listener'" };
+    }
+    // Listeners never send start, so they pick their transcript protocol here
+    const protocol = role === 'listener' ? parseInt(searchParams.get('protocol') || '1', 10) : null;
+    if (protocol !== null && !TRANSCRIPT_PROTOCOLS.includes(protocol)) {
+        return { error: `protocol must be one of: ${TRANSCRIPT_PROTOCOLS.join(', ')}` };
+    }
+    return {
+        role,
+        roomId,
+        code: searchParams.get('code'),
+        language: role === 'listener' ? searchParams.get('language') || null : null,
+        protocol
+    };
+}
+
+// Returns null when the user may enter the room, otherwise { message, code, closeCode }
+function checkRoomAdmission(userId, { role, roomId, code }) {
+    const room = rooms.get(roomId);
+    if (role === 'speaker') {
+        if (!room) return null;
+        if (room.ownerUserId !== userId) {
+            return { message: 'Room belongs to another speaker', code: 403, closeCode: 4403 };
         }
-        
-        // Forward Soniox response to client
-        if (conn.clientWs && conn.clientWs.readyState === WebSocket.OPEN) {
-            conn.clientWs.send(dataStr);
+        // A speaker socket that is no longer open doesn't hold the room, even before its cleanup has run
+        if (room.speakerId && connections.get(room.speakerId)?.clientWs.readyState === WebSocket.OPEN) {
+            return { message: 'Room already has a connected speaker', code: 409, closeCode: 4409 };
         }
-    });
+        return null;
+    }
+    if (!room) {
+        return { message: 'Room not found', code: 404, closeCode: 4404 };
+    }
+    if (!joinCodeMatches(room, code)) {
+        return { message: 'Invalid join code', code: 403, closeCode: 4403 };
+    }
+    if (room.listeners.size >= ROOM_MAX_LISTENERS) {
+        return { message: 'Room is full', code: 503, closeCode: 4503 };
+    }
+    return null;
+}
+
+function joinCodeMatches(room, code) {
+    if (typeof code !== 'string') return false;
+    const expected = Buffer.from(room.joinCode);
+    const given = Buffer.from(code);
+    return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+// Add an admitted connection to its room (creating it for a new speaker). Returns the
+// room description sent back in auth_success.
+function joinRoom(conn, { role, roomId, code }) {
+    let room = rooms.get(roomId);
+    if (!room) {
+        room = {
+            id: roomId,
+            ownerUserId: conn.userId,
+            // Speakers may pick the code; otherwise one is generated and shared out of band
+            joinCode: code || Math.random().toString(36).substring(2, 8).toUpperCase(),
+            speakerId: null,
+            listeners: new Set(),
+            idleTimer: null,
+            createdAt: Date.now()
+        };
+        rooms.set(roomId, room);
+        console.log(`[${conn.connectionId}] Room ${roomId} created by user ${conn.userId}`);
+    }
     
-    sonioxWs.on('close', (code, reason) => {
-        const reasonStr = reason ? reason.toString() : 'No reason provided';
-        console.log(`[${connectionId}] Soniox connection closed: code=${code}, reason="${reasonStr}"`);
-        
-        // Log if this happened before Soniox acknowledged config
-        if (!conn.isReady) {
-            console.error(`[${connectionId}] ⚠️ Soniox closed BEFORE acknowledging config - likely invalid API key or config`);
-        }
-        
-        conn.sonioxWs = null;
-        conn.isReady = false;
-        
-        // Notify client
-        if (conn.clientWs && conn.clientWs.readyState === WebSocket.OPEN) {
-            sendToClient(conn.clientWs, {
-                type: 'error',
-                message: `Soniox connection closed: ${reasonStr || 'Unknown reason'}`,
-                code: code
-            });
+    if (role === 'speaker') {
+        clearTimeout(room.idleTimer);
+        room.idleTimer = null;
+        room.speakerId = conn.connectionId;
+        notifyListeners(room, { type: 'room_status', room: room.id, status: 'speaker_connected' });
+        return { id: room.id, role, join_code: room.joinCode, listeners: room.listeners.size };
+    }
+    
+    room.listeners.add(conn.connectionId);
+    console.log(`[${conn.connectionId}] Joined room ${room.id} as listener (${room.listeners.size} listening)`);
+    notifySpeakerOfListeners(room);
+    return { id: room.id, role, language: conn.language, speaker_connected: !!room.speakerId };
+}
+
+function leaveRoom(conn) {
+    const room = rooms.get(conn.roomId);
+    if (!room) return;
+    
+    if (conn.role === 'listener') {
+        room.listeners.delete(conn.connectionId);
+        notifySpeakerOfListeners(room);
+        return;
+    }
+    if (room.speakerId !== conn.connectionId) return;
+    
+    // Keep the room (and its join code) for a while so the speaker can reconnect
+    room.speakerId = null;
+    console.log(`[${conn.connectionId}] Speaker left room ${room.id}, closing it in ${ROOM_IDLE_TIMEOUT_MS}ms unless they return`);
+    notifyListeners(room, { type: 'room_status', room: room.id, status: 'speaker_disconnected' });
+    room.idleTimer = setTimeout(() => closeRoom(room.id), ROOM_IDLE_TIMEOUT_MS);
+}
+
+function closeRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    rooms.delete(roomId);
+    clearTimeout(room.idleTimer);
+    console.log(`Room ${roomId} closed`);
+    
+    notifyListeners(room, { type: 'room_status', room: roomId, status: 'closed' });
+    for (const listenerId of room.listeners) {
+        const listener = connections.get(listenerId);
+        if (listener && listener.clientWs.readyState === WebSocket.OPEN) {
+            listener.clientWs.close(4410, 'Room closed');
         }
-    });
+    }
+}
+
+function notifyListeners(room, message) {
+    for (const listenerId of room.listeners) {
+        const listener = connections.get(listenerId);
+        if (listener) sendToClient(listener.clientWs, message);
+    }
+}
+
+function notifySpeakerOfListeners(room) {
+    const speaker = room.speakerId && connections.get(room.speakerId);
+    if (speaker) {
+        sendToClient(speaker.clientWs, { type: 'room_status', room: room.id, status: 'listeners', listeners: room.listeners.size });
+    }
+}
+
+// Terminate a listener that isn't draining its socket (a close frame would queue behind the backlog)
+function dropSlowListener(listener) {
+    if (listener.clientWs.bufferedAmount <= ROOM_LISTENER_MAX_BUFFERED_BYTES) return false;
+    console.log(`[${listener.connectionId}] Listener too slow (${listener.clientWs.bufferedAmount} bytes queued), disconnecting`);
+    listener.clientWs.terminate();
+    return true;
+}
+
+// Relay one of the speaker's messages to every listener - `message`/`raw` for protocol 1,
+// `events` for protocol 2. Each protocol/language combination is serialized once and shared,
+// since a room typically has many listeners per language.
+function broadcastToRoom(conn, { message = null, raw = null, events = [] }) {
+    const room = rooms.get(conn.roomId);
+    if (!room || room.speakerId !== conn.connectionId || room.listeners.size === 0) return;
     
-    sonioxWs.on('error', (err) => {
-        console.error(`[${connectionId}] Soniox error:`, err.message);
-        conn.sonioxWs = null;
-        conn.isReady = false;
+    const sourceLanguage = conn.fanout?.sourceLanguage
+        || conn.lastConfig?.translation?.source_language
+        || conn.lastConfig?.language_hints?.[0]
+        || null;
+    const payloads = new Map();
+    for (const listenerId of room.listeners) {
+        const listener = connections.get(listenerId);
+        if (!listener || listener.clientWs.readyState !== WebSocket.OPEN || dropSlowListener(listener)) continue;
         
-        // Notify client
-        if (conn.clientWs && conn.clientWs.readyState === WebSocket.OPEN) {
-            sendToClient(conn.clientWs, {
-                type: 'error',
-                message: 'Soniox connection error: ' + err.message
-            });
+        const key = `${listener.protocol}:${listener.language || '*'}`;
+        if (!payloads.has(key)) {
+            const serialize = (item) => listener.language ? filterForLanguage(item, listener.language, sourceLanguage) : JSON.stringify(item);
+            payloads.set(key, listener.protocol === 2
+                ? events.map(serialize).filter(Boolean)
+                : [listener.language && message ? serialize(message) : raw ?? JSON.stringify(message)].filter(Boolean));
         }
-    });
-    
-    // Timeout for Soniox connection
-    setTimeout(() => {
-        if (sonioxWs.readyState !== WebSocket.OPEN) {
-            console.log(`[${connectionId}] Soniox connection timeout`);
-            sonioxWs.close();
-            sendToClient(conn.clientWs, {
-                type: 'error',
-                message: 'Soniox connection timeout'
-            });
+        for (const payload of payloads.get(key)) {
+            listener.clientWs.send(payload);
+            metrics.relayedBytes.inc({ direction: 'room_to_listeners' }, payload.length);
         }
-    }, 10000);
+    }
 }
 
-function cleanupConnection(connectionId) {
-    const conn = connections.get(connectionId);
-    if (!conn) return;
-    
-    console.log(`[${connectionId}] Cleaning up connection`);
-    
-    // Close Soniox connection
-    if (conn.sonioxWs) {
-        conn.sonioxWs.close();
+// Serialize a message for listeners of one language, or null when nothing in it is for them.
+// Soniox tokens carry `language` when language identification is on; original tokens
+// without it are assumed to be in the speaker's source language.
+function filterForLanguage(message, language, sourceLanguage) {
+    if (message.type === 'translation') {
+        return message.target_language === language ? JSON.stringify(message) : null;
     }
-    
-    // Close client connection
-    if (conn.clientWs && conn.clientWs.readyState !== WebSocket.CLOSED) {
-        conn.clientWs.close();
+    // Protocol 2 text events carry `language` (null = the source language)
+    if ('language' in message) {
+        return (message.language ?? sourceLanguage) === language ? JSON.stringify(message) : null;
     }
+    if (!Array.isArray(message.tokens)) return JSON.stringify(message);
     
-    connections.delete(connectionId);
+    const tokens = message.tokens.filter(token => (token.language
+        || (token.translation_status === 'translation' ? null : sourceLanguage)) === language);
+    if (tokens.length === 0 && !message.finished && !message.error_code) return null;
+    return JSON.stringify({ ...message, tokens });
 }
 
 function sendToClient(ws, data) {
@@ -1031,6 +5547,29 @@ function sendError(ws, message, code) {
     sendToClient(ws, { type: 'error', message, code });
 }
 
+function parseJsonEnv(name, fallback) {
+    if (!process.env[name]) return fallback;
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (err) {
+        console.error(`WARNING: ${name} is not valid JSON - ignoring (${err.message})`);
+        return fallback;
+    }
+}
+
+// Tell the client why, then close - 4429 mirrors HTTP 429 in the application close-code range
+function closeRateLimited(ws, limited) {
+    sendToClient(ws, {
+        type: 'error',
+        message: limited.message,
+        code: 429,
+        retry_after: limited.retryAfter
+    });
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close(4429, 'Rate limit exceeded');
+    }
+}
+
 function generateConnectionId() {
     return Math.random().toString(36).substring(2, 15);
 }
@@ -1038,10 +5577,17 @@ function generateConnectionId() {
 // Start the server
 server.listen(PORT, () => {
     console.log(`✅ Selah Translation Proxy running on port ${PORT}`);
-    console.log(`   Health check: http://localhost:${PORT}/health`);
+    console.log(`   Health check: http://localhost:${PORT}/health/live (readiness: /health/ready)`);
+    console.log(`   Metrics: GET http://localhost:${PORT}/metrics`);
     console.log(`   OpenAI TTS: POST http://localhost:${PORT}/api/openai/tts`);
     console.log(`   Deepgram TTS: POST http://localhost:${PORT}/api/deepgram/tts`);
+    console.log(`   TTS: POST http://localhost:${PORT}/api/tts (providers: ${TTS_PROVIDER_ORDER.join(' > ')}, voices: GET /api/tts/voices)`);
     console.log(`   DeepL Translate: POST http://localhost:${PORT}/api/deepl/translate`);
+    console.log(`   Translate: POST http://localhost:${PORT}/api/translate (chain: ${TRANSLATION_CHAIN.join(' > ')})`);
+    console.log(`   Usage: GET http://localhost:${PORT}/api/usage`);
+    console.log(`   Transcripts: GET http://localhost:${PORT}/api/transcripts (store: ${transcriptStore ? transcriptStore.name : 'off'})`);
+    console.log(`   Caption export: POST http://localhost:${PORT}/api/transcripts/export`);
+    console.log(`   File jobs: POST http://localhost:${PORT}/api/jobs/uploads, then POST /api/jobs (uploads in ${JOB_UPLOAD_DIR})`);
     console.log(`   Soniox WebSocket: ws://localhost:${PORT}?token=YOUR_JWT_TOKEN`);
 });
 
@@ -1054,7 +5600,9 @@ process.on('SIGTERM', () => {
         cleanupConnection(id);
     }
     
-    server.close(() => {
+    server.close(async () => {
+        // Transcripts of the sessions just closed are still being written
+        await Promise.allSettled([...pendingTranscriptSaves]);
         console.log('Server closed');
         process.exit(0);
     });